@@ -0,0 +1,1033 @@
+/* ============================================================
+   FORUM.JS - Hunter Network Thread Renderer
+   ============================================================
+   Builds a forum chapter from a thread file instead of
+   hand-written markup:
+   - Threads with author, rank, guild, time, votes and badges
+   - Article embeds and gallery links (opened by popup-system.js)
+   - Comments nested to any depth; deleted ones keep their place
+   - Collapsible replies, "N more replies" and a remembered sort order
+   - Hunter cards for usernames, from the shared character registry
+   - The Members page
+   - Live threads: scripted replies, typing and deletions while reading
+
+   Usage: <div class="thread-list" data-forum-src="../data/threads/chapter-002.json"
+               data-characters-src="../data/characters.json"
+               data-members-href="forum-members.html">
+          <div class="member-list" data-members-src="../data/characters.json">
+   Load after popup-system.js (it provides the HTML sanitiser).
+   ============================================================ */
+
+(function() {
+  'use strict';
+
+  // ============================================================
+  // CONFIGURATION
+  // ============================================================
+
+  // Replies deeper than this stop indenting so phones keep some width
+  const MAX_INDENT_DEPTH = 6;
+
+  // How many comments / replies show before "N more ..."
+  const COMMENTS_SHOWN = 6;
+  const REPLIES_SHOWN = 3;
+
+  // The file's own order is the author's reading order, oldest first
+  const SORT_ORDERS = {
+    oldest: 'Oldest',
+    newest: 'Newest',
+    top: 'Top'
+  };
+  const DEFAULT_SORT = 'oldest';
+  const SORT_KEY = 'story-forum-sort';
+
+  // Hunter cards open after resting on a name, and linger briefly
+  // so the pointer can move onto them
+  const CARD_OPEN_DELAY = 300;
+  const CARD_CLOSE_DELAY = 200;
+
+  // Live threads can be turned off to show everything at once
+  const LIVE_KEY = 'story-forum-live';
+  const DELETE_MS = 600; // Flash before a live deletion lands
+
+  const BADGE_LABELS = {
+    pinned: 'Pinned',
+    hot: 'Hot',
+    locked: 'Locked',
+    new: 'New',
+    live: 'Live',
+    mod: 'Mod',
+    op: 'OP'
+  };
+
+  // ============================================================
+  // HELPERS
+  // ============================================================
+
+  function escapeHtml(text) {
+    return window.PopupSystem.html.escape(text);
+  }
+
+  /**
+   * Author HTML (thread bodies, comments) goes through the shared allow-list
+   */
+  function sanitize(html) {
+    return window.PopupSystem.html.sanitize(html);
+  }
+
+  function badgeLabel(name) {
+    return BADGE_LABELS[name] || name.charAt(0).toUpperCase() + name.slice(1);
+  }
+
+  /**
+   * Read / write a remembered choice (storage may be blocked)
+   */
+  function readSetting(key) {
+    return window.PopupSystem.storage.read(key);
+  }
+
+  function writeSetting(key, value) {
+    window.PopupSystem.storage.write(key, value);
+  }
+
+  /**
+   * Fetch and parse a JSON data file
+   * @returns {Promise<Object>} Rejects with a reader-facing reason
+   */
+  function fetchJson(url) {
+    return fetch(url)
+      .catch(() => {
+        throw new Error('Could not be loaded (pages opened as file:// can\'t load data files - use a local web server)');
+      })
+      .then(response => {
+        if (!response.ok) throw new Error(`Could not be loaded (HTTP ${response.status})`);
+        return response.text();
+      })
+      .then(text => {
+        try {
+          return JSON.parse(text);
+        } catch (error) {
+          throw new Error(`Is not valid JSON: ${error.message}`);
+        }
+      });
+  }
+
+  /**
+   * Votes as a compact score: 1842 → 1.8k
+   */
+  function formatVotes(votes) {
+    const abs = Math.abs(votes);
+    if (abs >= 1000) return `${(votes / 1000).toFixed(abs >= 10000 ? 0 : 1)}k`;
+    return String(votes);
+  }
+
+  // ============================================================
+  // THREAD RENDERER
+  // ============================================================
+
+  const Forum = {
+    container: null,
+    data: null,
+    characters: {},
+    card: null,
+    cardAnchor: null,
+    cardPinned: false,
+    cardTimer: null,
+    sort: DEFAULT_SORT,
+    collapsed: new Set(),
+    expanded: new Set(),
+    live: {},             // Per live thread: { timers, arrived, typing, finished }
+    pending: new Set(),   // Live comments the reader hasn't been shown yet
+    liveDeleted: new Set(),
+
+    /**
+     * Render the thread file named by [data-forum-src] and the member list
+     * named by [data-members-src], if the page has them
+     */
+    init() {
+      const members = document.querySelector('[data-members-src]');
+      if (members) {
+        this.loadMembers(members.dataset.membersSrc, members).catch(() => {
+          // Already reported by loadMembers()
+        });
+      }
+
+      document.querySelectorAll('.forum-live-btn').forEach(btn => {
+        btn.addEventListener('click', () => this.setLive(btn.dataset.live !== 'off'));
+      });
+      this.updateLiveButtons();
+
+      // The sort or live mode changed in another tab
+      window.addEventListener('storysync', (e) => {
+        const key = e.detail.key;
+        if (key === null || key === SORT_KEY) {
+          const saved = readSetting(SORT_KEY);
+          this.setSort(SORT_ORDERS[saved] ? saved : DEFAULT_SORT, false);
+        }
+        if (key === null || key === LIVE_KEY) this.setLive(this.isLive(), false);
+      });
+
+      const container = document.querySelector('[data-forum-src]');
+      if (!container) return;
+      const loading = this.load(container.dataset.forumSrc, container);
+      // Links like #gallery=pamphlet point into the threads
+      window.PopupSystem.url.waitFor(loading);
+      loading.catch(() => {
+        // Already reported by load()
+      });
+    },
+
+    /**
+     * Fetch a thread file and render it into the container
+     * A missing or broken file is logged and shown in place of the threads.
+     * Hunter profiles come from [data-characters-src]; without them the
+     * threads still render.
+     * @returns {Promise<Object>} The thread data
+     */
+    load(url, container) {
+      container.innerHTML = '<div class="spinner" role="status" aria-label="Loading threads"></div>';
+
+      const charactersUrl = container.dataset.charactersSrc;
+      return Promise.all([fetchJson(url), charactersUrl ? this.loadCharacters(charactersUrl) : null])
+        .then(([data]) => {
+          this.render(data, container);
+          return data;
+        }, error => {
+          this.showError(container, url, error, 'These threads could not be shown.');
+          throw error;
+        });
+    },
+
+    /**
+     * Fetch the character registry
+     * @returns {Promise<Object>} Hunters by username (empty if it failed)
+     */
+    loadCharacters(url) {
+      return fetchJson(url).then(registry => {
+        this.characters = registry.hunters || {};
+        return this.characters;
+      }, error => {
+        console.warn(`Forum: ${url}: ${error.message}`);
+        return this.characters;
+      });
+    },
+
+    /**
+     * Fetch the character registry and list everyone in it
+     * @returns {Promise<Object>} Hunters by username
+     */
+    loadMembers(url, container) {
+      container.innerHTML = '<div class="spinner" role="status" aria-label="Loading members"></div>';
+
+      return fetchJson(url)
+        .then(registry => {
+          this.characters = registry.hunters || {};
+          this.renderMembers(container);
+          return this.characters;
+        }, error => {
+          this.showError(container, url, error, 'The member list could not be shown.');
+          throw error;
+        });
+    },
+
+    showError(container, url, error, heading) {
+      console.warn(`Forum: ${url}: ${error.message}`);
+      container.innerHTML = `
+        <div class="forum-error" role="alert">
+          <strong>${escapeHtml(heading)}</strong>
+          <p>${escapeHtml(url)}: ${escapeHtml(error.message)}</p>
+        </div>
+      `;
+    },
+
+    /**
+     * Render thread data into the container
+     * @param {Object} data - { members: { name: { rank, guild, badges } }, threads: [...] }
+     *   members (optional) overrides the character registry for this file
+     */
+    render(data, container) {
+      this.data = data;
+      this.container = container;
+
+      const saved = readSetting(SORT_KEY);
+      this.sort = SORT_ORDERS[saved] ? saved : DEFAULT_SORT;
+
+      const threads = data.threads || [];
+      this.stopLive();
+      threads.forEach(thread => this.prepareLive(thread));
+
+      container.innerHTML = this.renderToolbar() + threads
+        .map(thread => this.renderThread(thread))
+        .join('<div class="thread-divider"></div>');
+
+      if (!container._forumBound) {
+        container._forumBound = true;
+        this.bindEvents(container);
+      }
+
+      window.PopupSystem.redactions.apply(container);
+      threads.forEach(thread => this.watchLive(thread));
+      window.dispatchEvent(new CustomEvent('forumrender', { detail: { container, threads } }));
+    },
+
+    /**
+     * Sort control above the threads
+     */
+    renderToolbar() {
+      return `
+        <div class="forum-toolbar">
+          <label class="forum-sort">
+            Sort comments
+            <select class="forum-sort-select">
+              ${Object.keys(SORT_ORDERS).map(order => `<option value="${order}"${order === this.sort ? ' selected' : ''}>${SORT_ORDERS[order]}</option>`).join('')}
+            </select>
+          </label>
+        </div>
+      `;
+    },
+
+    /**
+     * Sorting, folding and "more replies" clicks (delegated, so re-rendered
+     * comments keep working)
+     */
+    bindEvents(container) {
+      container.addEventListener('change', (e) => {
+        if (e.target.matches('.forum-sort-select')) this.setSort(e.target.value);
+      });
+
+      container.addEventListener('click', (e) => {
+        const author = e.target.closest('.forum-author[data-member]');
+        if (author) {
+          this.toggleCard(author);
+          return;
+        }
+        const toggle = e.target.closest('.comment-toggle');
+        if (toggle) {
+          this.toggleReplies(toggle);
+          return;
+        }
+        const more = e.target.closest('.comment-more-button');
+        if (more) {
+          this.showMore(more);
+          return;
+        }
+        const live = e.target.closest('.live-banner, .live-replay');
+        if (live) {
+          const thread = this.threadById(live.closest('.thread-comments').dataset.thread);
+          if (live.classList.contains('live-banner')) {
+            this.showArrived(thread);
+          } else {
+            this.replayLive(thread);
+          }
+        }
+      });
+
+      container.addEventListener('mouseover', (e) => {
+        const author = e.target.closest('.forum-author[data-member]');
+        if (author && !author.contains(e.relatedTarget)) this.hoverCard(author);
+      });
+
+      container.addEventListener('mouseout', (e) => {
+        const author = e.target.closest('.forum-author[data-member]');
+        if (author && !author.contains(e.relatedTarget)) this.leaveCard();
+      });
+    },
+
+    /**
+     * Re-order every comment tree and remember the choice
+     * Folded and expanded replies stay that way.
+     */
+    setSort(order, save = true) {
+      if (!SORT_ORDERS[order]) return;
+      this.sort = order;
+      if (save) writeSetting(SORT_KEY, order);
+      this.closeCard();
+
+      document.querySelectorAll('.forum-sort-select').forEach(select => { select.value = order; });
+      if (!this.data) return;
+      (this.data.threads || []).forEach(thread => this.refreshComments(thread));
+    },
+
+    threadById(id) {
+      return (this.data.threads || []).find(thread => (thread.id || '') === id);
+    },
+
+    /**
+     * Re-draw one thread's comments (after a sort, or live replies arriving)
+     */
+    refreshComments(thread) {
+      const section = this.sectionOf(thread);
+      if (!section) return;
+      section.innerHTML = this.renderCommentSection(thread);
+      window.PopupSystem.redactions.apply(section);
+    },
+
+    sectionOf(thread) {
+      return Array.from(this.container.querySelectorAll('.thread-comments'))
+        .find(section => section.dataset.thread === (thread.id || ''));
+    },
+
+    /**
+     * Fold or unfold the replies under a comment
+     */
+    toggleReplies(toggle) {
+      const node = toggle.closest('.comment-node');
+      const id = node.querySelector('.comment').id;
+      const collapse = toggle.getAttribute('aria-expanded') === 'true';
+
+      if (collapse) {
+        this.collapsed.add(id);
+      } else {
+        this.collapsed.delete(id);
+      }
+      node.classList.toggle('is-collapsed', collapse);
+      node.querySelector('.comment-replies').hidden = collapse;
+      toggle.outerHTML = this.renderToggle(id, parseInt(toggle.dataset.count, 10), collapse);
+      node.querySelector('.comment-toggle').focus();
+    },
+
+    /**
+     * "[–]" while replies show, "[+] N replies" once folded
+     */
+    renderToggle(id, count, collapsed) {
+      const replies = `${count} ${count === 1 ? 'reply' : 'replies'}`;
+      return `<button type="button" class="comment-toggle" data-count="${count}" aria-controls="${escapeHtml(id)}-replies" aria-expanded="${!collapsed}" aria-label="${collapsed ? 'Show' : 'Hide'} ${replies}">${collapsed ? `[+] ${replies}` : '[–]'}</button>`;
+    },
+
+    /**
+     * Reveal the rest of a list and move focus to the first new comment
+     */
+    showMore(button) {
+      const item = button.closest('.comment-more');
+      const list = item.parentElement;
+      const revealed = Array.from(list.children).filter(child => child.hidden);
+
+      this.expanded.add(list.dataset.list);
+      revealed.forEach(child => { child.hidden = false; });
+      item.remove();
+
+      const first = revealed[0] && revealed[0].querySelector('.comment');
+      if (first) {
+        first.setAttribute('tabindex', '-1');
+        first.focus();
+      }
+    },
+
+    /**
+     * Comments in the chosen order, each keeping the id of its place in the file
+     * @returns {Array} [{ comment, id }]
+     */
+    ordered(comments, path) {
+      const entries = comments
+        .map((comment, i) => ({ comment, id: `${path}-${i + 1}`, index: i }))
+        .filter(entry => !this.pending.has(entry.id));
+      const votes = entry => entry.comment.deleted ? 0 : (entry.comment.votes || 0);
+
+      if (this.sort === 'newest') {
+        entries.reverse();
+      } else if (this.sort === 'top') {
+        entries.sort((a, b) => votes(b) - votes(a) || a.index - b.index);
+      }
+      return entries;
+    },
+
+    /**
+     * Look up who wrote an entry
+     * The thread file's members win over the registry, and fields on the
+     * entry win over both.
+     */
+    authorOf(entry) {
+      const local = (this.data && this.data.members) || {};
+      const member = Object.assign({}, this.characters[entry.author], local[entry.author]);
+      return {
+        name: entry.author,
+        rank: entry.rank !== undefined ? entry.rank : member.rank,
+        guild: entry.guild !== undefined ? entry.guild : member.guild,
+        badges: (member.badges || []).concat(entry.authorBadges || []),
+        joined: member.joined,
+        posts: member.posts,
+        bio: member.bio
+      };
+    },
+
+    renderRank(rank) {
+      if (!rank) return '';
+      return `<span class="hunter-rank" data-rank="${escapeHtml(String(rank).toLowerCase())}">${escapeHtml(rank)}${/^[A-Z]{1,3}$/.test(rank) ? '-Rank' : ''}</span>`;
+    },
+
+    renderBadges(names) {
+      return names.map(name => `<span class="comment-badge comment-badge-${escapeHtml(name)}">${escapeHtml(badgeLabel(name))}</span>`).join('');
+    },
+
+    /**
+     * Author name, rank, guild, time and votes for a thread or comment
+     * Named authors are buttons that open their hunter card.
+     */
+    renderMeta(entry, badges = []) {
+      const author = this.authorOf(entry);
+      const name = author.name
+        ? `<button type="button" class="forum-author" data-member="${escapeHtml(author.name)}" aria-haspopup="dialog" aria-expanded="false">${escapeHtml(author.name)}</button>`
+        : '<span class="forum-author">anonymous</span>';
+
+      return `
+        ${name}
+        ${this.renderBadges(author.badges.concat(badges))}
+        ${this.renderRank(author.rank)}
+        ${author.guild ? `<span class="forum-guild">${escapeHtml(author.guild)}</span>` : ''}
+        ${entry.time ? `<time class="forum-time">${escapeHtml(entry.time)}</time>` : ''}
+        ${entry.votes !== undefined ? `<span class="forum-votes" aria-label="${entry.votes} points">▲ ${escapeHtml(formatVotes(entry.votes))}</span>` : ''}
+      `;
+    },
+
+    /**
+     * One thread: title, meta, body, attachment and comment tree
+     */
+    renderThread(thread) {
+      const live = Boolean(this.live[thread.id]);
+      const badges = (thread.badges || []).concat(live ? ['live'] : []);
+      const count = this.countComments(thread.comments || [], `c-${thread.id}`);
+
+      return `
+        <article class="thread-item" id="thread-${escapeHtml(thread.id || '')}">
+          <h2 class="thread-item-title">
+            ${badges.map(name => `<span class="thread-badge thread-badge-${escapeHtml(name)}">${escapeHtml(badgeLabel(name))}</span>`).join('')}
+            ${escapeHtml(thread.title || '')}
+          </h2>
+          ${thread.author ? `<p class="thread-item-meta">Posted by ${this.renderMeta(thread)}</p>` : ''}
+          ${thread.description ? `<p class="thread-item-desc">${escapeHtml(thread.description)}</p>` : ''}
+          ${thread.body ? `<div class="thread-body">${sanitize(thread.body)}</div>` : ''}
+          ${this.renderEmbed(thread.embed)}
+          ${this.renderGallery(thread.gallery)}
+          ${count || live ? `
+            <div class="thread-comments" data-thread="${escapeHtml(thread.id || '')}">
+              ${this.renderCommentSection(thread)}
+            </div>
+          ` : ''}
+        </article>
+      `;
+    },
+
+    /**
+     * Heading and comment tree of a thread
+     */
+    renderCommentSection(thread) {
+      return `
+        <div class="comments-label">Comments (${this.countComments(thread.comments || [], `c-${thread.id}`)}):</div>
+        ${this.renderComments(thread.comments || [], thread, 0, `c-${thread.id}`)}
+        ${this.live[thread.id] ? `<div class="live-status" aria-live="polite">${this.renderLiveStatus(thread)}</div>` : ''}
+      `;
+    },
+
+    /**
+     * An article card that opens in the document viewer
+     * @param {Object} embed - { type, articleId, source, headline, title }
+     */
+    renderEmbed(embed) {
+      if (!embed) return '';
+      return `
+        <div class="article-embed" data-document-viewer="true" data-type="${escapeHtml(embed.type || 'article')}" data-article-id="${escapeHtml(embed.articleId)}" data-title="${escapeHtml(embed.title || embed.headline || '')}">
+          <div class="article-embed-header">
+            <span class="article-embed-source">${escapeHtml(embed.source || '')}</span>
+          </div>
+          <div class="article-embed-title">${escapeHtml(embed.headline || embed.title || '')}</div>
+        </div>
+      `;
+    },
+
+    /**
+     * A document link that opens in the image gallery
+     * @param {Object} gallery - { id, src, title } (src relative to the page)
+     */
+    renderGallery(gallery) {
+      if (!gallery) return '';
+      return `
+        <div class="pdf-link" data-gallery="${escapeHtml(gallery.id || 'true')}" data-gallery-src="${escapeHtml(gallery.src)}" data-title="${escapeHtml(gallery.title || '')}">
+          ${escapeHtml(gallery.title || '')}
+        </div>
+      `;
+    },
+
+    /**
+     * A level of the comment tree
+     * Long levels show the first few and a "N more" button for the rest.
+     * @param {string} path - Id prefix; each comment appends its position
+     */
+    renderComments(comments, thread, depth, path) {
+      const classes = ['comment-tree'];
+      if (depth > 0) classes.push('comment-replies');
+      if (depth > MAX_INDENT_DEPTH) classes.push('is-flat');
+
+      const entries = this.ordered(comments, path);
+      const limit = depth === 0 ? COMMENTS_SHOWN : REPLIES_SHOWN;
+      const folded = this.expanded.has(path) ? [] : entries.slice(limit);
+      const hiddenCount = folded.reduce((total, entry) => total + 1 + this.countComments(entry.comment.replies || [], entry.id), 0);
+      const noun = depth === 0 ? 'comment' : 'reply';
+      const plural = depth === 0 ? 'comments' : 'replies';
+      const collapsed = depth > 0 && this.collapsed.has(path);
+
+      return `
+        <ul class="${classes.join(' ')}" data-list="${escapeHtml(path)}"${depth > 0 ? ` id="${escapeHtml(path)}-replies"` : ''}${collapsed ? ' hidden' : ''}>
+          ${entries.map((entry, i) => this.renderComment(entry.comment, thread, depth, entry.id, folded.length > 0 && i >= limit)).join('')}
+          ${folded.length ? `
+            <li class="comment-more">
+              <button type="button" class="comment-more-button">${hiddenCount} more ${hiddenCount === 1 ? noun : plural}</button>
+            </li>
+          ` : ''}
+        </ul>
+      `;
+    },
+
+    /**
+     * One comment and its replies
+     * Deleted comments keep their place (and their replies) without an author.
+     */
+    renderComment(comment, thread, depth, id, hidden) {
+      const deleted = comment.deleted || this.liveDeleted.has(id);
+      const classes = ['comment'];
+      if (depth > 0) classes.push('comment-reply');
+      if (deleted) classes.push('comment-deleted');
+
+      // Replies that arrive live were posted "just now"
+      const entry = this.live[thread.id] && comment.live && comment.live.at !== undefined
+        ? Object.assign({}, comment, { time: 'just now' })
+        : comment;
+      const badges = !deleted && comment.author && comment.author === thread.author ? ['op'] : [];
+      const replies = comment.replies || [];
+      const replyCount = this.countComments(replies, id);
+      const collapsed = this.collapsed.has(id);
+      const toggle = replyCount ? this.renderToggle(id, replyCount, collapsed) : '';
+      const meta = deleted ? toggle : toggle + this.renderMeta(entry, badges);
+
+      return `
+        <li class="comment-node${collapsed ? ' is-collapsed' : ''}" data-depth="${depth}"${hidden ? ' hidden' : ''}>
+          <div class="${classes.join(' ')}" id="${escapeHtml(id)}">
+            ${meta ? `<div class="comment-meta">${meta}</div>` : ''}
+            <div class="comment-body">${deleted ? '(This comment has been deleted)' : sanitize(comment.body || '')}</div>
+          </div>
+          ${replyCount ? this.renderComments(replies, thread, depth + 1, id) : ''}
+        </li>
+      `;
+    },
+
+    /**
+     * Everything the registry knows about a hunter
+     * Shared by the hover card and the Members page.
+     */
+    renderProfile(author) {
+      return `
+        <div class="hunter-card-header">
+          <span class="hunter-card-avatar" aria-hidden="true">${escapeHtml(author.name.charAt(0).toUpperCase())}</span>
+          <div>
+            <strong class="hunter-card-name">${escapeHtml(author.name)}</strong>
+            ${this.renderBadges(author.badges)}
+          </div>
+        </div>
+        <dl class="hunter-card-stats">
+          <dt>Rank</dt><dd>${this.renderRank(author.rank) || 'Unregistered'}</dd>
+          <dt>Guild</dt><dd>${escapeHtml(author.guild || 'None')}</dd>
+          <dt>Joined</dt><dd>${escapeHtml(author.joined || 'Unknown')}</dd>
+          <dt>Posts</dt><dd>${author.posts !== undefined ? escapeHtml(Number(author.posts).toLocaleString('en-US')) : '—'}</dd>
+        </dl>
+        ${author.bio ? `<p class="hunter-card-bio">${escapeHtml(author.bio)}</p>` : ''}
+      `;
+    },
+
+    /**
+     * The one card element, made on first use
+     */
+    getCard() {
+      if (this.card) return this.card;
+
+      const card = document.createElement('div');
+      card.className = 'hunter-card';
+      card.id = 'hunter-card';
+      card.setAttribute('role', 'dialog');
+      card.setAttribute('tabindex', '-1');
+      card.hidden = true;
+      document.body.appendChild(card);
+
+      card.addEventListener('mouseenter', () => clearTimeout(this.cardTimer));
+      card.addEventListener('mouseleave', () => this.leaveCard());
+
+      // Popups and viewers above the forum get Escape and clicks first
+      document.addEventListener('keydown', (e) => {
+        if (e.key !== 'Escape' || card.hidden || window.PopupSystem.overlays.owns(e)) return;
+        const anchor = this.cardAnchor;
+        this.closeCard();
+        if (anchor) anchor.focus();
+      });
+
+      document.addEventListener('click', (e) => {
+        if (card.hidden || card.contains(e.target) || e.target.closest('.forum-author[data-member]')) return;
+        if (window.PopupSystem.overlays.owns(e)) return;
+        this.closeCard();
+      });
+
+      window.addEventListener('resize', () => this.closeCard());
+
+      this.card = card;
+      return card;
+    },
+
+    /**
+     * Tap / click: open and keep the card (focus moves into it), or close it
+     */
+    toggleCard(anchor) {
+      clearTimeout(this.cardTimer);
+      if (this.cardAnchor === anchor && this.cardPinned) {
+        this.closeCard();
+        return;
+      }
+      this.openCard(anchor);
+      this.cardPinned = true;
+      this.card.focus();
+    },
+
+    hoverCard(anchor) {
+      clearTimeout(this.cardTimer);
+      if (this.cardAnchor === anchor) return;
+      this.cardTimer = setTimeout(() => {
+        if (this.cardPinned) return;
+        this.openCard(anchor);
+      }, CARD_OPEN_DELAY);
+    },
+
+    leaveCard() {
+      clearTimeout(this.cardTimer);
+      if (this.cardPinned) return;
+      this.cardTimer = setTimeout(() => this.closeCard(), CARD_CLOSE_DELAY);
+    },
+
+    openCard(anchor) {
+      const card = this.getCard();
+      const author = this.authorOf({ author: anchor.dataset.member });
+      const membersHref = this.container && this.container.dataset.membersHref;
+
+      if (this.cardAnchor) this.cardAnchor.setAttribute('aria-expanded', 'false');
+      this.cardAnchor = anchor;
+      this.cardPinned = false;
+
+      card.setAttribute('aria-label', `Hunter card: ${author.name}`);
+      card.innerHTML = this.renderProfile(author) + (membersHref
+        ? `<a class="hunter-card-link" href="${escapeHtml(membersHref)}#member-${escapeHtml(author.name)}">View in Members →</a>`
+        : '');
+      card.hidden = false;
+      anchor.setAttribute('aria-expanded', 'true');
+      anchor.setAttribute('aria-controls', card.id);
+
+      // Below the name, kept inside the viewport horizontally
+      const rect = anchor.getBoundingClientRect();
+      const maxLeft = document.documentElement.clientWidth - card.offsetWidth - 8;
+      card.style.left = `${Math.max(8, Math.min(rect.left, maxLeft)) + window.scrollX}px`;
+      card.style.top = `${rect.bottom + window.scrollY + 6}px`;
+    },
+
+    closeCard() {
+      clearTimeout(this.cardTimer);
+      if (!this.card || this.card.hidden) return;
+      this.card.hidden = true;
+      if (this.cardAnchor) this.cardAnchor.setAttribute('aria-expanded', 'false');
+      this.cardAnchor = null;
+      this.cardPinned = false;
+    },
+
+    /**
+     * Every hunter in the registry, busiest posters first
+     * A #member-<name> link scrolls to (and highlights) that hunter.
+     */
+    renderMembers(container) {
+      const names = Object.keys(this.characters)
+        .sort((a, b) => (this.characters[b].posts || 0) - (this.characters[a].posts || 0));
+
+      container.innerHTML = `
+        <div class="member-list-count">${names.length} members</div>
+        <ul class="member-grid">
+          ${names.map(name => `
+            <li class="member-item" id="member-${escapeHtml(name)}">
+              ${this.renderProfile(this.authorOf({ author: name }))}
+            </li>
+          `).join('')}
+        </ul>
+      `;
+
+      const id = window.location.hash.slice(1);
+      const target = id && document.getElementById(id);
+      if (target) target.scrollIntoView();
+    },
+
+    /**
+     * Comments (and replies) the reader can see
+     * @param {string} path - Id prefix of the list, to leave out pending live replies
+     */
+    countComments(comments, path) {
+      return comments.reduce((total, comment, i) => {
+        const id = `${path}-${i + 1}`;
+        if (this.pending.has(id)) return total;
+        return total + 1 + this.countComments(comment.replies || [], id);
+      }, 0);
+    },
+
+    /**
+     * Live threads: comments with a "live" entry are scripted against a clock
+     * that starts when the thread's comments first scroll into view.
+     *   { "live": { "at": 12, "typing": 4 } }  - "is typing…" for 4s, then arrives at 12s
+     *   { "live": { "deleteAt": 30 } }         - deleted in front of the reader at 30s
+     *     (on a comment that arrives live, deleteAt - at after it's shown)
+     * Showing everything at once (the setting) is the script's end state.
+     */
+    isLive() {
+      return readSetting(LIVE_KEY) !== 'off';
+    },
+
+    setLive(on, save = true) {
+      if (save) writeSetting(LIVE_KEY, on ? 'on' : 'off');
+      this.updateLiveButtons();
+      if (this.data) this.render(this.data, this.container);
+    },
+
+    updateLiveButtons() {
+      const live = this.isLive();
+      document.querySelectorAll('.forum-live-btn').forEach(btn => {
+        btn.classList.toggle('is-active', (btn.dataset.live !== 'off') === live);
+      });
+    },
+
+    /**
+     * Every scripted comment in a thread, in file order
+     * @returns {Array} [{ id, comment, at, typing, deleteAt }]
+     */
+    liveScript(thread) {
+      const script = [];
+      const walk = (comments, path) => comments.forEach((comment, i) => {
+        const id = `${path}-${i + 1}`;
+        if (comment.live) script.push(Object.assign({ id, comment }, comment.live));
+        walk(comment.replies || [], id);
+      });
+      walk(thread.comments || [], `c-${thread.id}`);
+      return script;
+    },
+
+    /**
+     * Put a thread back to the start of its script (or straight to the end)
+     */
+    prepareLive(thread) {
+      const script = this.liveScript(thread);
+      delete this.live[thread.id];
+      script.forEach(event => {
+        this.pending.delete(event.id);
+        this.liveDeleted.delete(event.id);
+      });
+      if (script.length === 0) return;
+
+      if (!this.isLive()) {
+        script.filter(event => event.deleteAt !== undefined).forEach(event => this.liveDeleted.add(event.id));
+        return;
+      }
+
+      script.filter(event => event.at !== undefined).forEach(event => this.pending.add(event.id));
+      this.live[thread.id] = { script, timers: [], arrived: [], typing: new Map(), started: false, finished: false };
+    },
+
+    /**
+     * Start the clock once the reader reaches the thread's comments
+     */
+    watchLive(thread) {
+      const state = this.live[thread.id];
+      const section = state && this.sectionOf(thread);
+      if (!section) return;
+
+      if (!('IntersectionObserver' in window)) {
+        this.startLive(thread);
+        return;
+      }
+      state.observer = new IntersectionObserver((entries) => {
+        if (!entries.some(entry => entry.isIntersecting)) return;
+        state.observer.disconnect();
+        this.startLive(thread);
+      });
+      state.observer.observe(section);
+    },
+
+    startLive(thread) {
+      const state = this.live[thread.id];
+      if (!state || state.started) return;
+      state.started = true;
+
+      const later = (seconds, callback) => {
+        state.timers.push(setTimeout(callback, Math.max(0, seconds) * 1000));
+      };
+      let end = 0;
+
+      state.script.forEach(event => {
+        if (event.at !== undefined) {
+          if (event.typing) {
+            later(event.at - event.typing, () => {
+              state.typing.set(event.id, event.comment.author);
+              this.updateLiveStatus(thread);
+            });
+          }
+          later(event.at, () => {
+            state.typing.delete(event.id);
+            state.arrived.push(event.id);
+            this.updateLiveStatus(thread);
+          });
+          end = Math.max(end, event.at);
+        }
+        // A comment that arrives live is deleted once it's been shown (showArrived)
+        if (event.deleteAt !== undefined && event.at === undefined) {
+          later(event.deleteAt, () => this.deleteLive(thread, event.id));
+          end = Math.max(end, event.deleteAt);
+        }
+      });
+
+      later(end + 1, () => {
+        state.finished = true;
+        this.updateLiveStatus(thread);
+      });
+    },
+
+    /**
+     * Cancel every live clock (before a re-render)
+     */
+    stopLive() {
+      Object.keys(this.live).forEach(id => {
+        const state = this.live[id];
+        state.timers.forEach(clearTimeout);
+        if (state.observer) state.observer.disconnect();
+      });
+    },
+
+    /**
+     * Typing indicator, "N new replies" and (once it's over) Replay
+     */
+    renderLiveStatus(thread) {
+      const state = this.live[thread.id];
+      const typists = Array.from(new Set(state.typing.values()));
+      const count = state.arrived.length;
+      let typing = '';
+      if (typists.length === 1) {
+        typing = `${escapeHtml(typists[0])} is typing…`;
+      } else if (typists.length === 2) {
+        typing = `${escapeHtml(typists[0])} and ${escapeHtml(typists[1])} are typing…`;
+      } else if (typists.length > 2) {
+        typing = 'Several people are typing…';
+      }
+
+      return `
+        ${typing ? `<div class="live-typing"><span class="live-typing-dots" aria-hidden="true"><span></span><span></span><span></span></span>${typing}</div>` : ''}
+        ${count ? `<button type="button" class="live-banner">↓ ${count} new ${count === 1 ? 'reply' : 'replies'}</button>` : ''}
+        ${state.finished && !count ? '<button type="button" class="live-replay">↻ Replay live thread</button>' : ''}
+      `;
+    },
+
+    updateLiveStatus(thread) {
+      const section = this.sectionOf(thread);
+      const status = section && section.querySelector('.live-status');
+      if (status) status.innerHTML = this.renderLiveStatus(thread);
+    },
+
+    /**
+     * Put arrived replies into the tree, opening whatever hides them,
+     * and move focus to the first one
+     */
+    showArrived(thread) {
+      const state = this.live[thread.id];
+      if (!state || state.arrived.length === 0) return;
+      const ids = state.arrived;
+      state.arrived = [];
+
+      const base = `c-${thread.id}`;
+      ids.forEach(id => {
+        this.pending.delete(id);
+        // Every list and comment above it: c-thread-1-2-3 → c-thread, c-thread-1, c-thread-1-2
+        let path = base;
+        this.expanded.add(path);
+        id.slice(base.length + 1).split('-').slice(0, -1).forEach(step => {
+          path += `-${step}`;
+          this.expanded.add(path);
+          this.collapsed.delete(path);
+        });
+      });
+
+      this.refreshComments(thread);
+      ids.forEach(id => {
+        const comment = document.getElementById(id);
+        if (comment) comment.classList.add('is-new');
+
+        // Its deletion counts from now, so the reader sees it happen
+        const event = state.script.find(entry => entry.id === id);
+        if (event && event.deleteAt !== undefined) {
+          state.timers.push(setTimeout(() => this.deleteLive(thread, id), Math.max(0, event.deleteAt - event.at) * 1000));
+        }
+      });
+
+      const first = document.getElementById(ids[0]);
+      if (first) {
+        first.setAttribute('tabindex', '-1');
+        first.focus();
+        first.scrollIntoView({ block: 'center' });
+      }
+    },
+
+    /**
+     * A moderator removes a comment while the reader watches
+     */
+    deleteLive(thread, id) {
+      this.liveDeleted.add(id);
+      const comment = document.getElementById(id);
+      if (!comment || this.pending.has(id)) return;
+
+      if (this.card && comment.contains(this.cardAnchor)) this.closeCard();
+      comment.classList.add('is-deleting');
+      this.live[thread.id].timers.push(setTimeout(() => {
+        comment.classList.remove('is-deleting');
+        comment.classList.add('comment-deleted');
+        const meta = comment.querySelector('.comment-meta');
+        if (meta) {
+          Array.from(meta.children).forEach(child => {
+            if (!child.classList.contains('comment-toggle')) child.remove();
+          });
+          if (!meta.children.length) meta.remove();
+        }
+        comment.querySelector('.comment-body').textContent = '(This comment has been deleted)';
+      }, DELETE_MS));
+    },
+
+    /**
+     * Run a thread's script again from the top
+     */
+    replayLive(thread) {
+      const state = this.live[thread.id];
+      if (state) {
+        state.timers.forEach(clearTimeout);
+        if (state.observer) state.observer.disconnect();
+      }
+      this.prepareLive(thread);
+      this.refreshComments(thread);
+      this.startLive(thread);
+      const section = this.sectionOf(thread);
+      if (section) section.querySelector('.comments-label').scrollIntoView({ block: 'start' });
+    }
+  };
+
+  // ============================================================
+  // INITIALIZATION
+  // ============================================================
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', () => Forum.init());
+  } else {
+    Forum.init();
+  }
+
+  // ============================================================
+  // PUBLIC API
+  // ============================================================
+
+  window.Forum = {
+    load: (url, container) => Forum.load(url, container),
+    render: (data, container) => Forum.render(data, container),
+    setLive: (on) => Forum.setLive(on)
+  };
+
+})();
@@ -41,10 +41,17 @@
     return backdrop;
   }
 
+  let backdropUsers = 0;
+
   /**
    * Show the backdrop
+   * Counted: every showBackdrop() needs a matching hideBackdrop(), so
+   * closing one overlay doesn't uncover (or unlock) another still open.
    */
   function showBackdrop() {
+    backdropUsers++;
+    if (backdropUsers > 1) return;
+
     const backdrop = getOrCreateBackdrop();
     // Force reflow before adding class for transition
     backdrop.offsetHeight;
@@ -53,14 +60,468 @@
   }
 
   /**
-   * Hide the backdrop
+   * Hide the backdrop once the last overlay using it is gone
    */
   function hideBackdrop() {
+    if (backdropUsers === 0) return;
+    backdropUsers--;
+    if (backdropUsers > 0) return;
+
     const backdrop = getOrCreateBackdrop();
     backdrop.classList.remove('is-visible');
     document.body.style.overflow = ''; // Restore scrolling
   }
 
+  // ============================================================
+  // SAFE HTML (Escaping & sanitising everything we render)
+  // ============================================================
+  // Titles, labels and attribute values are always escaped.
+  // Author HTML (popup bodies, articles) is cleaned against an
+  // allow-list; anything not on it is dropped. Authors who really
+  // need raw markup wrap it with PopupSystem.html.trust().
+
+  const TRUSTED_HTML = Symbol('trustedHtml');
+
+  const ALLOWED_TAGS = new Set([
+    'a', 'abbr', 'article', 'aside', 'b', 'blockquote', 'br', 'caption', 'code',
+    'del', 'details', 'div', 'em', 'figcaption', 'figure', 'footer', 'h1', 'h2',
+    'h3', 'h4', 'h5', 'h6', 'header', 'hr', 'i', 'img', 'ins', 'li', 'mark', 'ol',
+    'p', 'pre', 'q', 's', 'section', 'small', 'span', 'strong', 'sub', 'summary',
+    'sup', 'table', 'tbody', 'td', 'tfoot', 'th', 'thead', 'time', 'tr', 'u', 'ul',
+    'dl', 'dt', 'dd'
+  ]);
+
+  // Removed together with everything inside them
+  const DROPPED_TAGS = new Set([
+    'script', 'style', 'iframe', 'object', 'embed', 'template', 'noscript',
+    'link', 'meta', 'base', 'form', 'input', 'button', 'textarea', 'select', 'frame', 'frameset'
+  ]);
+
+  // No id: cleaned content mustn't clobber ids the page's scripts look up
+  const ALLOWED_ATTRIBUTES = new Set([
+    'class', 'title', 'lang', 'dir', 'role', 'style', 'alt', 'width', 'height',
+    'colspan', 'rowspan', 'datetime', 'open', 'cite'
+  ]);
+
+  const URL_ATTRIBUTES = { a: ['href', 'target', 'rel'], img: ['src'] };
+
+  // Only data-* attributes that change how text looks (redactions, glitched
+  // text, live counters) - the ones that open viewers or fire popups stay out
+  const ALLOWED_DATA_ATTRIBUTES = new Set([
+    'data-redacted', 'data-redaction-id', 'data-clearance', 'data-unlock-after',
+    'data-glitch', 'data-counter', 'data-from', 'data-to', 'data-format', 'data-duration'
+  ]);
+
+  /**
+   * Mark HTML as trusted so it skips sanitising
+   * Only use for markup you wrote yourself.
+   */
+  function trustHtml(html) {
+    return { [TRUSTED_HTML]: String(html) };
+  }
+
+  /**
+   * Only allow http(s), relative, anchor, mailto and image data URLs
+   * @returns {string} The URL, or '' if it isn't safe
+   */
+  function safeUrl(url) {
+    const value = String(url || '').trim();
+    const scheme = value.replace(/[\u0000- ]/g, '').match(/^([a-z][a-z0-9+.-]*):/i);
+    if (!scheme) return value;
+    const name = scheme[1].toLowerCase();
+    if (name === 'http' || name === 'https' || name === 'mailto') return value;
+    if (name === 'data' && /^data:image\/(png|jpe?g|gif|webp);/i.test(value)) return value;
+    return '';
+  }
+
+  /**
+   * Drop style rules that can load or run anything
+   */
+  function safeStyle(style) {
+    return /url\s*\(|expression\s*\(|javascript:|@import|behavior\s*:|-moz-binding/i.test(style) ? '' : style;
+  }
+
+  /**
+   * Clean author HTML against the allow-lists
+   * Unknown tags are unwrapped (their text is kept); dangerous ones are removed.
+   */
+  function sanitizeHtml(html) {
+    const template = document.createElement('template');
+    template.innerHTML = String(html);
+
+    const clean = (parent) => {
+      Array.from(parent.childNodes).forEach(node => {
+        if (node.nodeType === Node.COMMENT_NODE) {
+          node.remove();
+          return;
+        }
+        if (node.nodeType !== Node.ELEMENT_NODE) return;
+
+        const tag = node.tagName.toLowerCase();
+
+        if (DROPPED_TAGS.has(tag)) {
+          node.remove();
+          return;
+        }
+
+        clean(node);
+
+        if (!ALLOWED_TAGS.has(tag)) {
+          while (node.firstChild) parent.insertBefore(node.firstChild, node);
+          node.remove();
+          return;
+        }
+
+        Array.from(node.attributes).forEach(attr => {
+          const name = attr.name.toLowerCase();
+          const urlAttributes = URL_ATTRIBUTES[tag] || [];
+
+          if (name.startsWith('aria-') || ALLOWED_DATA_ATTRIBUTES.has(name)) return;
+          if (name === 'style') {
+            const style = safeStyle(attr.value);
+            if (style) node.setAttribute('style', style);
+            else node.removeAttribute('style');
+          } else if (name === 'href' || name === 'src') {
+            const url = urlAttributes.includes(name) ? safeUrl(attr.value) : '';
+            if (url) node.setAttribute(name, url);
+            else node.removeAttribute(name);
+          } else if (!ALLOWED_ATTRIBUTES.has(name) && !urlAttributes.includes(name)) {
+            node.removeAttribute(attr.name);
+          }
+        });
+
+        // New tabs can't reach back into the story page
+        if (tag === 'a' && node.getAttribute('target') === '_blank') {
+          node.setAttribute('rel', 'noopener noreferrer');
+        }
+      });
+    };
+
+    clean(template.content);
+    return template.innerHTML;
+  }
+
+  /**
+   * Author HTML ready for innerHTML: trusted markup as-is, everything else sanitised
+   */
+  function renderHtml(value) {
+    if (value === null || value === undefined) return '';
+    if (typeof value === 'object' && value[TRUSTED_HTML] !== undefined) return value[TRUSTED_HTML];
+    return sanitizeHtml(value);
+  }
+
+  // ============================================================
+  // OVERLAY STACK (Backdrop, focus and key routing for all overlays)
+  // ============================================================
+  // Every modal overlay registers here instead of listening on
+  // document itself. Only the top overlay hears clicks and keys,
+  // Tab stays inside it, and focus goes back where it was when
+  // it closes.
+
+  const FOCUSABLE = 'a[href], button, input, select, textarea, iframe, [tabindex]:not([tabindex="-1"])';
+
+  const OverlayStack = {
+    stack: [],
+    clickOwner: null,
+    isBound: false,
+
+    /**
+     * Put an overlay on top of the stack
+     * @param {Object} options
+     *   elements: [Element] - The overlay (plus any extra parts, e.g. floating controls)
+     *   onClick(e): Clicks anywhere on the page while this overlay is on top
+     *   onEscape(e): Escape pressed while on top
+     *   onKeydown(e): Any other key while on top
+     *   focus: Element to focus first (default: first focusable, else the overlay)
+     *   backdrop: Show the shared backdrop and lock scrolling (default: true)
+     * @returns {Object} Handle to pass to close()
+     */
+    open(options) {
+      this.bind();
+
+      const entry = Object.assign({ backdrop: true }, options, {
+        returnFocus: document.activeElement
+      });
+      this.stack.push(entry);
+      if (entry.backdrop) showBackdrop();
+
+      const target = entry.focus || this.focusables(entry)[0] || entry.elements[0];
+      this.focus(target);
+      return entry;
+    },
+
+    /**
+     * Take an overlay off the stack (wherever it is)
+     * Focus is restored only when the top overlay closes.
+     */
+    close(entry) {
+      const index = this.stack.indexOf(entry);
+      if (index === -1) return;
+
+      const wasTop = index === this.stack.length - 1;
+      this.stack.splice(index, 1);
+      if (entry.backdrop) hideBackdrop();
+
+      if (wasTop && entry.returnFocus && entry.returnFocus !== document.body && document.contains(entry.returnFocus)) {
+        entry.returnFocus.focus({ preventScroll: true });
+      }
+    },
+
+    /**
+     * The overlay currently receiving input
+     */
+    top() {
+      return this.stack[this.stack.length - 1] || null;
+    },
+
+    /**
+     * Is this overlay the one on top?
+     */
+    isTop(entry) {
+      return entry !== null && this.top() === entry;
+    },
+
+    /**
+     * Whether an overlay has this event's input (or had it when the click
+     * started). Page widgets outside the stack - hover cards, the settings
+     * panel - leave such events alone so one Escape closes one thing.
+     */
+    owns(e) {
+      if (this.top() || e.defaultPrevented) return true;
+      return e.type === 'click' && this.clickOwner !== null;
+    },
+
+    /**
+     * Focusable elements inside an overlay, in order
+     */
+    focusables(entry) {
+      return entry.elements.flatMap(el => Array.from(el.querySelectorAll(FOCUSABLE)))
+        .filter(el => !el.disabled);
+    },
+
+    /**
+     * Focus an element, making plain containers focusable first
+     */
+    focus(el) {
+      if (!el) return;
+      if (!el.matches(FOCUSABLE) && !el.hasAttribute('tabindex')) {
+        el.setAttribute('tabindex', '-1');
+      }
+      el.focus({ preventScroll: true });
+    },
+
+    /**
+     * Keep Tab / Shift+Tab cycling inside the top overlay
+     */
+    trapFocus(e, entry) {
+      const focusables = this.focusables(entry);
+      const active = document.activeElement;
+      const inside = entry.elements.some(el => el.contains(active));
+
+      if (focusables.length === 0) {
+        e.preventDefault();
+        this.focus(entry.elements[0]);
+      } else if (e.shiftKey && (!inside || active === focusables[0])) {
+        e.preventDefault();
+        focusables[focusables.length - 1].focus();
+      } else if (!e.shiftKey && (!inside || active === focusables[focusables.length - 1])) {
+        e.preventDefault();
+        focusables[0].focus();
+      }
+    },
+
+    /**
+     * One set of document listeners routes input to the top overlay
+     */
+    bind() {
+      if (this.isBound) return;
+      this.isBound = true;
+
+      // Note who was on top before the click - the click that opens an
+      // overlay must not also reach (and close) that new overlay
+      window.addEventListener('click', () => {
+        this.clickOwner = this.top();
+      }, true);
+
+      document.addEventListener('click', (e) => {
+        const top = this.top();
+        if (top && top === this.clickOwner && top.onClick) top.onClick(e);
+      });
+
+      document.addEventListener('keydown', (e) => {
+        const top = this.top();
+        if (!top) return;
+
+        if (e.key === 'Tab') {
+          this.trapFocus(e, top);
+        } else if (e.key === 'Escape') {
+          if (top.onEscape) {
+            e.preventDefault();
+            top.onEscape(e);
+          }
+        } else if (top.onKeydown) {
+          top.onKeydown(e);
+        }
+      });
+    }
+  };
+
+  // ============================================================
+  // URL STATE (Deep links and the Back button for overlays)
+  // ============================================================
+  // Overlays keep their state in the URL hash, e.g.
+  //   #doc=hunter-daily-vanguard-warning
+  //   #gallery=pamphlet&page=4
+  //   #step=12&choices=0.1
+  // Opening an overlay adds a history entry, so Back closes it;
+  // loading a page with one of these hashes opens it again.
+
+  const UrlState = {
+    handlers: {},
+    entries: [],
+    isRestoring: false,
+    ignoreNextPop: false,
+    isBound: false,
+    pending: [],
+
+    /**
+     * Hold restore() until content built by script (e.g. forum threads)
+     * is on the page, so links inside it can be found
+     */
+    waitFor(promise) {
+      this.pending.push(Promise.resolve(promise).catch(() => {}));
+    },
+
+    /**
+     * Let an overlay be reopened from the URL
+     * @param {string} key - Hash parameter naming the overlay (e.g. 'doc')
+     * @param {Object} handler
+     *   open(params): Show the overlay described by the URLSearchParams
+     *   close(): Hide it again (Back was pressed)
+     *   params: Other hash keys the overlay writes (e.g. ['page'])
+     */
+    register(key, handler) {
+      this.handlers[key] = handler;
+      this.bind();
+    },
+
+    /**
+     * The current hash as URLSearchParams
+     */
+    read() {
+      return new URLSearchParams(window.location.hash.slice(1));
+    },
+
+    /**
+     * Write values into the hash (null removes a key)
+     * @returns {boolean} Whether the browser took the change
+     */
+    write(values, push) {
+      const params = this.read();
+      Object.keys(values).forEach(key => {
+        if (values[key] === null || values[key] === undefined) {
+          params.delete(key);
+        } else {
+          params.set(key, values[key]);
+        }
+      });
+
+      const hash = params.toString();
+      const url = window.location.pathname + window.location.search + (hash ? `#${hash}` : '');
+      try {
+        history[push ? 'pushState' : 'replaceState'](history.state, '', url);
+        return true;
+      } catch (e) {
+        // Sandboxed pages (e.g. file:// in some browsers) refuse history changes
+        return false;
+      }
+    },
+
+    /**
+     * Change the hash without adding a history entry
+     */
+    update(values) {
+      this.write(values, false);
+    },
+
+    /**
+     * An overlay opened: record it in the URL as a new history entry
+     * Reopening the same overlay reuses its entry.
+     */
+    open(key, values) {
+      const top = this.entries[this.entries.length - 1];
+      if (this.isRestoring || top === key) {
+        if (top !== key) this.entries.push(key);
+        if (!this.isRestoring) this.update(values);
+        return;
+      }
+
+      // Without a history entry there's nothing for close() to step back past
+      if (this.write(values, true)) this.entries.push(key);
+    },
+
+    /**
+     * An overlay closed itself: step back past its history entry
+     * (only ever one open() created, so Back never leaves the page)
+     */
+    close(key) {
+      if (this.entries[this.entries.length - 1] !== key) return;
+      this.entries.pop();
+      this.ignoreNextPop = true;
+      history.back();
+    },
+
+    /**
+     * Open whatever overlay the page was loaded with.
+     * The hash moves to a new history entry so Back closes the overlay
+     * instead of leaving the page.
+     */
+    restore() {
+      const params = this.read();
+      const keys = Object.keys(this.handlers).filter(key => params.has(key));
+      if (keys.length === 0) return;
+
+      const cleared = {};
+      Object.keys(this.handlers).forEach(key => {
+        [key].concat(this.handlers[key].params || []).forEach(name => { cleared[name] = null; });
+      });
+      this.update(cleared);
+
+      keys.forEach(key => this.handlers[key].open(params));
+    },
+
+    /**
+     * Back / Forward: close overlays the URL no longer names, open new ones
+     */
+    sync() {
+      const params = this.read();
+
+      while (this.entries.length && !params.has(this.entries[this.entries.length - 1])) {
+        const key = this.entries.pop();
+        this.handlers[key].close();
+      }
+
+      this.isRestoring = true;
+      Object.keys(this.handlers).forEach(key => {
+        if (params.has(key) && !this.entries.includes(key)) this.handlers[key].open(params);
+      });
+      this.isRestoring = false;
+    },
+
+    bind() {
+      if (this.isBound) return;
+      this.isBound = true;
+
+      window.addEventListener('popstate', () => {
+        if (this.ignoreNextPop) {
+          this.ignoreNextPop = false;
+          return;
+        }
+        this.sync();
+      });
+    }
+  };
+
   /**
    * Create close button SVG
    */
@@ -71,33 +532,1138 @@
     </svg>`;
   }
 
+  /**
+   * Identify the current chapter from its file name
+   * e.g. /chapters/chapter-001.html → 'chapter-001'
+   */
+  function getChapterId() {
+    const file = window.location.pathname.split('/').pop() || 'index.html';
+    return file.replace(/\.html?$/, '') || 'index';
+  }
+
+  /**
+   * Read a JSON value from the settings store (localStorage without it)
+   * Returns the fallback if storage is blocked or the value is unreadable
+   */
+  function readStorage(key, fallback = null) {
+    const store = getStore();
+    if (store) return store.get(key, fallback);
+    try {
+      const raw = localStorage.getItem(key);
+      return raw === null ? fallback : JSON.parse(raw);
+    } catch (e) {
+      return fallback;
+    }
+  }
+
+  /**
+   * Write a JSON value (null removes the key)
+   * Storage being blocked or full only costs us persistence
+   */
+  function writeStorage(key, value) {
+    const store = getStore();
+    if (store) {
+      store.set(key, value);
+      return;
+    }
+    try {
+      if (value === null) {
+        localStorage.removeItem(key);
+      } else {
+        localStorage.setItem(key, JSON.stringify(value));
+      }
+    } catch (e) {
+      console.warn(`PopupSystem: Could not save "${key}"`);
+    }
+  }
+
+  /**
+   * settings.js's store, which versions the data, falls back to memory
+   * and keeps tabs in sync
+   */
+  function getStore() {
+    return window.StorySettings && window.StorySettings.store;
+  }
+
+  /**
+   * How far the reader has scrolled through the page, 0-100
+   */
+  function getReadingProgress() {
+    const scrollable = document.documentElement.scrollHeight - window.innerHeight;
+    if (scrollable <= 0) return 100;
+    return Math.min(100, (window.scrollY / scrollable) * 100);
+  }
+
+  /**
+   * Remember that the reader finished this chapter
+   * (data-popup-read="reread" triggers fire on later visits)
+   * Fires a chapterread event the first time.
+   */
+  function markChapterRead() {
+    const chapter = getChapterId();
+    const key = `story-read-${chapter}`;
+    if (readStorage(key) === true) return;
+    writeStorage(key, true);
+    window.dispatchEvent(new CustomEvent('chapterread', { detail: { chapter } }));
+  }
+
+  /**
+   * Make text safe to drop into innerHTML or an attribute value
+   */
+  function escapeHtml(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+
+  /**
+   * Whether the reader has asked the OS for less motion
+   */
+  function prefersReducedMotion() {
+    return window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+  }
+
+  // ============================================================
+  // TIMED EFFECTS (Typewriter text & live counters)
+  // ============================================================
+  // Each effect returns a small controller:
+  //   isRunning() - still animating?
+  //   finish()    - jump to the final state right away
+  //   stop()      - cancel without finishing (popup is going away)
+
+  /**
+   * Reveal the text inside an element one character at a time.
+   * Markup is kept - only text nodes are typed out. Text inside
+   * live counters is left alone so the counter can own it.
+   * @param {Element} root - Element whose text should type itself out
+   * @param {number} speed - Milliseconds per character
+   * @param {Function} onDone - Called once all text is showing
+   */
+  function startTypewriter(root, speed, onDone) {
+    const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+    const nodes = [];
+    while (walker.nextNode()) {
+      const node = walker.currentNode;
+      if (node.textContent.trim() && !node.parentElement.closest('[data-counter], [data-choice]')) {
+        nodes.push({ node, text: node.textContent });
+        node.textContent = '';
+      }
+    }
+
+    let nodeIndex = 0;
+    let charIndex = 0;
+    let timer = null;
+
+    const done = () => {
+      clearInterval(timer);
+      timer = null;
+      onDone();
+    };
+
+    const tick = () => {
+      const current = nodes[nodeIndex];
+      if (!current) {
+        done();
+        return;
+      }
+
+      charIndex++;
+      current.node.textContent = current.text.slice(0, charIndex);
+      if (charIndex >= current.text.length) {
+        nodeIndex++;
+        charIndex = 0;
+      }
+    };
+
+    timer = setInterval(tick, speed);
+
+    return {
+      isRunning: () => timer !== null,
+      finish() {
+        if (timer === null) return;
+        nodes.forEach(({ node, text }) => { node.textContent = text; });
+        done();
+      },
+      stop() {
+        clearInterval(timer);
+        timer = null;
+      }
+    };
+  }
+
+  /**
+   * Parse a counter value - either a plain number ("4,892")
+   * or a clock ("00:04:12" / "04:12") which becomes seconds
+   */
+  function parseCounterValue(value, format) {
+    if (format === 'clock') {
+      return String(value).split(':').reduce((total, part) => total * 60 + (parseInt(part, 10) || 0), 0);
+    }
+    return parseFloat(String(value).replace(/,/g, '')) || 0;
+  }
+
+  /**
+   * Format a counter value the same way the author wrote it
+   */
+  function formatCounterValue(value, format) {
+    const rounded = Math.max(0, Math.round(value));
+    if (format === 'clock') {
+      const hours = Math.floor(rounded / 3600);
+      const minutes = Math.floor((rounded % 3600) / 60);
+      const seconds = rounded % 60;
+      return [hours, minutes, seconds].map(part => String(part).padStart(2, '0')).join(':');
+    }
+    return rounded.toLocaleString('en-US');
+  }
+
+  /**
+   * Count a number up or down while it is on screen
+   * Counters are declared in markup:
+   *   <span data-counter data-from="31" data-to="14">31</span>
+   *   <span data-counter data-format="clock" data-from="00:04:12" data-to="00:03:58">00:04:12</span>
+   * Clocks tick in real time by default; numbers drain over 1.5s.
+   * data-duration (ms) overrides either.
+   * @param {Element} el - The counter element
+   * @param {Function} onDone - Called when the final value is reached
+   */
+  function startCounter(el, onDone) {
+    const format = el.dataset.format === 'clock' ? 'clock' : 'number';
+    const from = parseCounterValue(el.dataset.from, format);
+    const to = parseCounterValue(el.dataset.to, format);
+    const defaultDuration = format === 'clock' ? Math.abs(from - to) * 1000 : 1500;
+    const duration = parseInt(el.dataset.duration, 10) || defaultDuration;
+    const startedAt = Date.now();
+    let timer = null;
+
+    const render = (value) => {
+      el.textContent = formatCounterValue(value, format);
+    };
+
+    const done = () => {
+      clearInterval(timer);
+      timer = null;
+      render(to);
+      onDone();
+    };
+
+    render(from);
+    timer = setInterval(() => {
+      const progress = Math.min(1, (Date.now() - startedAt) / duration);
+      if (progress >= 1) {
+        done();
+      } else {
+        render(from + (to - from) * progress);
+      }
+    }, 50);
+
+    return {
+      isRunning: () => timer !== null,
+      finish() {
+        if (timer !== null) done();
+      },
+      stop() {
+        clearInterval(timer);
+        timer = null;
+      }
+    };
+  }
+
+  // ============================================================
+  // GLITCH TEXT (Procedural corruption)
+  // ============================================================
+  // Corrupts text at runtime instead of hand-typing the damage.
+  // Intensity runs from 0 (clean) to 1 (barely readable).
+  // Screen readers get the clean text; the corrupted copy is
+  // aria-hidden. Reduced-motion readers see one fixed corruption.
+
+  const GLITCH_DEFAULT_INTENSITY = 0.3;
+  const GLITCH_LOOKALIKES = {
+    a: 'à@4ą', e: 'ë3€ę', i: 'ï1!|', o: '0øõ°', u: 'üµù', s: '$5§', t: '7†',
+    l: '1|ł', r: 'ř®', n: 'ñη', g: '9ğ', b: '8ß', c: '¢ç', y: '¥ÿ', z: '2ž'
+  };
+  const GLITCH_NOISE = '░▒▓█▚▞#%&*/\\<>_~';
+
+  /**
+   * Small seeded random number generator (mulberry32)
+   * Used so the reduced-motion rendering is the same on every visit
+   */
+  function seededRandom(seed) {
+    let state = seed >>> 0;
+    return function() {
+      state = (state + 0x6D2B79F5) >>> 0;
+      let t = state;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+
+  /**
+   * Turn a string into a seed for seededRandom
+   */
+  function hashText(text) {
+    let hash = 2166136261;
+    for (let i = 0; i < text.length; i++) {
+      hash = Math.imul(hash ^ text.charCodeAt(i), 16777619);
+    }
+    return hash >>> 0;
+  }
+
+  /**
+   * Corrupt a string: swapped characters, stutters and combining-mark noise
+   * @param {string} text - Clean text
+   * @param {number} intensity - 0 to 1
+   * @param {Function} random - Source of randomness (default Math.random)
+   */
+  function corruptText(text, intensity, random = Math.random) {
+    let result = '';
+
+    for (const char of text) {
+      if (!char.trim()) {
+        result += char;
+        continue;
+      }
+
+      let out = char;
+      const roll = random();
+
+      if (roll < intensity * 0.25) {
+        // Substitution - a lookalike where we have one, block noise otherwise
+        const lookalikes = GLITCH_LOOKALIKES[char.toLowerCase()];
+        const pool = lookalikes && random() < 0.7 ? lookalikes : GLITCH_NOISE;
+        out = pool[Math.floor(random() * pool.length)];
+      } else if (roll < intensity * 0.4) {
+        // Stutter - doubled letter or a stray gap
+        out = random() < 0.5 ? char + char : char + ' ';
+      }
+
+      if (random() < intensity * 0.3) {
+        const marks = 1 + Math.floor(random() * Math.ceil(intensity * 4));
+        for (let m = 0; m < marks; m++) {
+          out += String.fromCharCode(0x0300 + Math.floor(random() * 0x70));
+        }
+      }
+
+      result += out;
+    }
+
+    return result;
+  }
+
+  /**
+   * Read a glitch setting: true/'' means the default, numbers are clamped to 0..1
+   */
+  function parseGlitchIntensity(value) {
+    if (value === true || value === '' || value === 'true') return GLITCH_DEFAULT_INTENSITY;
+    const intensity = parseFloat(value);
+    if (isNaN(intensity)) return 0;
+    return Math.min(1, Math.max(0, intensity));
+  }
+
+  /**
+   * Corrupt the text inside an element, re-corrupting in bursts until stopped.
+   * Text inside live counters and buttons is left alone.
+   * Returns a controller like the timed effects; it never counts as "running"
+   * so a click moves the sequence on instead of waiting for it.
+   * @param {Element} el - Element whose text should glitch
+   * @param {number} intensity - 0 to 1
+   */
+  function startGlitch(el, intensity) {
+    const clean = el.textContent.trim();
+    const wrapper = document.createElement(el.tagName === 'SPAN' ? 'span' : 'div');
+    const label = document.createElement('span');
+
+    // Clean copy for assistive tech, corrupted copy for the eyes
+    wrapper.className = 'glitch-layer';
+    wrapper.setAttribute('aria-hidden', 'true');
+    while (el.firstChild) wrapper.appendChild(el.firstChild);
+    label.className = 'visually-hidden';
+    label.textContent = clean;
+    el.appendChild(label);
+    el.appendChild(wrapper);
+    el.classList.add('glitch-text');
+
+    const nodes = [];
+    const walker = document.createTreeWalker(wrapper, NodeFilter.SHOW_TEXT);
+    while (walker.nextNode()) {
+      const node = walker.currentNode;
+      if (node.textContent.trim() && !node.parentElement.closest('[data-counter], button')) {
+        nodes.push({ node, text: node.textContent });
+      }
+    }
+
+    const render = (random) => {
+      nodes.forEach(entry => {
+        entry.node.textContent = corruptText(entry.text, intensity, random);
+      });
+    };
+
+    let timer = null;
+
+    if (prefersReducedMotion()) {
+      render(seededRandom(hashText(clean)));
+    } else {
+      const tick = () => {
+        // Mostly quiet, with the occasional heavy burst
+        const burst = Math.random() < 0.15;
+        nodes.forEach(entry => {
+          entry.node.textContent = corruptText(entry.text, burst ? Math.min(1, intensity * 2) : intensity);
+        });
+        timer = setTimeout(tick, burst ? 60 : 120 + Math.random() * 400);
+      };
+      tick();
+    }
+
+    return {
+      isRunning: () => false,
+      finish() {},
+      stop() {
+        clearTimeout(timer);
+        timer = null;
+        nodes.forEach(entry => {
+          entry.node.textContent = entry.text;
+        });
+        while (wrapper.firstChild) el.insertBefore(wrapper.firstChild, label);
+        label.remove();
+        wrapper.remove();
+        el.classList.remove('glitch-text');
+      }
+    };
+  }
+
+  /**
+   * Prose spans marked data-glitch="0.4" - only animate while on screen
+   */
+  const GlitchText = {
+    init() {
+      const elements = document.querySelectorAll('[data-glitch]');
+      if (elements.length === 0) return;
+
+      const start = (el) => {
+        if (!el._glitch) el._glitch = startGlitch(el, parseGlitchIntensity(el.dataset.glitch));
+      };
+
+      if (!('IntersectionObserver' in window) || prefersReducedMotion()) {
+        elements.forEach(start);
+        return;
+      }
+
+      const observer = new IntersectionObserver(entries => {
+        entries.forEach(entry => {
+          if (entry.isIntersecting) {
+            start(entry.target);
+          } else if (entry.target._glitch) {
+            entry.target._glitch.stop();
+            entry.target._glitch = null;
+          }
+        });
+      });
+      elements.forEach(el => observer.observe(el));
+    }
+  };
+
+  // ============================================================
+  // REDACTIONS (Blacked-out text that unlocks as the story goes on)
+  // ============================================================
+  // <span class="redaction" data-redacted="hidden words"> shows a
+  // bar until the reader qualifies, then decodes into the words:
+  //   data-clearance="2"              once clearance is 2 or more
+  //   data-unlock-after="chapter-003" once that chapter has been read
+  // Without either it never unlocks. A chapter raises the reader's
+  // clearance with <body data-grant-clearance="2">. Unlocks are kept,
+  // so the decode plays once and rereads show the words at once.
+
+  const CLEARANCE_KEY = 'story-clearance';
+  const REVEALED_KEY = 'story-redactions';
+  const REDACTION_CHAR = '█';
+  const REVEAL_MS = 900;
+
+  const Redactions = {
+    observer: null,
+
+    init() {
+      const granted = parseInt(document.body.dataset.grantClearance, 10);
+      if (granted > this.clearance()) writeStorage(CLEARANCE_KEY, granted);
+
+      // Finishing a chapter can unlock text already on the page
+      window.addEventListener('chapterread', () => this.apply(document.body));
+      // So can clearance granted, or a chapter finished, in another tab
+      window.addEventListener('storysync', (e) => {
+        const key = e.detail.key;
+        if (key === null || key === CLEARANCE_KEY || key === REVEALED_KEY || key.startsWith('story-read-')) {
+          this.apply(document.body);
+        }
+      });
+      this.apply(document.body);
+    },
+
+    /**
+     * The reader's current clearance level (0 until a chapter grants one)
+     */
+    clearance() {
+      return readStorage(CLEARANCE_KEY, 0);
+    },
+
+    /**
+     * Raise the reader's clearance and reveal anything it unlocks
+     */
+    grant(level) {
+      if (level > this.clearance()) writeStorage(CLEARANCE_KEY, level);
+      this.apply(document.body);
+    },
+
+    /**
+     * Whether the reader may see a redaction's words
+     */
+    isUnlocked(el) {
+      const { clearance, unlockAfter } = el.dataset;
+      if (clearance !== undefined && this.clearance() >= parseInt(clearance, 10)) return true;
+      if (unlockAfter && readStorage(`story-read-${unlockAfter}`) === true) return true;
+      return false;
+    },
+
+    /**
+     * Name a redaction for the revealed list: data-redaction-id or its words
+     */
+    keyFor(el) {
+      return el.dataset.redactionId || hashText(el.dataset.redacted).toString(36);
+    },
+
+    /**
+     * Bring every redaction inside root up to date
+     * Call after rendering popups or documents that may contain some.
+     */
+    apply(root) {
+      if (!root) return;
+      const elements = Array.from(root.querySelectorAll('.redaction'));
+      if (root.matches && root.matches('.redaction')) elements.unshift(root);
+
+      elements.forEach(el => {
+        if (el.classList.contains('is-revealed') || el.classList.contains('is-revealing')) return;
+
+        const text = el.dataset.redacted;
+        if (text === undefined || !this.isUnlocked(el)) {
+          this.lock(el);
+        } else if (this.wasRevealed(el) || prefersReducedMotion()) {
+          this.show(el);
+        } else {
+          this.lock(el);
+          this.whenVisible(el, () => this.reveal(el));
+        }
+      });
+    },
+
+    /**
+     * Block out letters and digits, keeping spaces and punctuation
+     * so the bar has the shape of the words ("████-██-██")
+     */
+    mask(text) {
+      return String(text).replace(/[\p{L}\p{N}]/gu, REDACTION_CHAR);
+    },
+
+    /**
+     * Draw the bar
+     */
+    lock(el) {
+      el.textContent = this.mask(el.dataset.redacted !== undefined ? el.dataset.redacted : el.textContent);
+      el.classList.add('is-locked');
+      el.setAttribute('role', 'img');
+      el.setAttribute('aria-label', 'Redacted');
+      if (el.dataset.clearance !== undefined) {
+        el.title = `Requires clearance level ${el.dataset.clearance}`;
+      }
+    },
+
+    /**
+     * Show the words without animating
+     */
+    show(el) {
+      el.textContent = el.dataset.redacted;
+      el.classList.remove('is-locked', 'is-revealing');
+      el.classList.add('is-revealed');
+      el.removeAttribute('role');
+      el.removeAttribute('aria-label');
+      el.removeAttribute('title');
+    },
+
+    /**
+     * Decode the bar into the words, left to right, then remember it
+     */
+    reveal(el) {
+      const text = el.dataset.redacted;
+      const masked = this.mask(text);
+      const start = performance.now();
+      el.classList.remove('is-locked');
+      el.classList.add('is-revealing');
+
+      const step = (now) => {
+        if (!el.isConnected) return;
+        const shown = Math.floor(Math.min(1, (now - start) / REVEAL_MS) * text.length);
+        el.textContent = text.slice(0, shown) + masked.slice(shown);
+        if (shown < text.length) {
+          requestAnimationFrame(step);
+        } else {
+          this.show(el);
+        }
+      };
+      requestAnimationFrame(step);
+      this.remember(el);
+    },
+
+    wasRevealed(el) {
+      return readStorage(REVEALED_KEY, []).includes(this.keyFor(el));
+    },
+
+    remember(el) {
+      const revealed = readStorage(REVEALED_KEY, []);
+      const key = this.keyFor(el);
+      if (!revealed.includes(key)) writeStorage(REVEALED_KEY, revealed.concat(key));
+    },
+
+    /**
+     * Run once the element scrolls into view (at once without IntersectionObserver)
+     */
+    whenVisible(el, callback) {
+      if (!('IntersectionObserver' in window)) {
+        callback();
+        return;
+      }
+      if (!this.observer) {
+        this.observer = new IntersectionObserver(entries => {
+          entries.forEach(entry => {
+            if (!entry.isIntersecting) return;
+            this.observer.unobserve(entry.target);
+            entry.target._onVisible();
+          });
+        });
+      }
+      el._onVisible = callback;
+      this.observer.observe(el);
+    }
+  };
+
+  // ============================================================
+  // POPUP KINDS (Named system-window looks)
+  // ============================================================
+  // Every kind renders the same .system-window markup; the look
+  // comes from CSS classes and the --color-system-* variables in
+  // base.css, so it follows the active theme.
+
+  const PopupKinds = {
+    kinds: {},
+
+    /**
+     * Register a named popup look
+     * @param {string} name - Used as { kind: 'name' } in sequence items
+     * @param {Object} definition - All optional:
+     *   className: Classes added to the window (default: 'system-window--<name>')
+     *   title: Default header line, e.g. 'System Management'
+     *   close: Show the [CLOSE] marker by default
+     *   render(item, extra): Return custom HTML instead of the standard window
+     */
+    register(name, definition = {}) {
+      this.kinds[name] = Object.assign({
+        className: `system-window--${name}`,
+        title: '',
+        close: false,
+        render: null
+      }, definition);
+    },
+
+    /**
+     * Check whether a kind has been registered
+     */
+    has(name) {
+      return Object.prototype.hasOwnProperty.call(this.kinds, name);
+    },
+
+    /**
+     * Render an item as a system window
+     * @param {Object} item - { kind, body, title, close, className }
+     *   body is sanitised author HTML; title is plain text
+     * @param {string} extra - Markup placed after the body (e.g. choice buttons)
+     */
+    render(item, extra = '') {
+      const kind = this.kinds[item.kind];
+      if (!kind) {
+        console.warn(`PopupKinds: Unknown kind "${item.kind}", using "system"`);
+        return this.render(Object.assign({}, item, { kind: 'system' }), extra);
+      }
+
+      if (kind.render) {
+        return kind.render(item, extra);
+      }
+
+      const title = item.title !== undefined ? item.title : kind.title;
+      const close = item.close !== undefined ? item.close : kind.close;
+      const classes = ['system-window', kind.className, item.className].filter(Boolean).join(' ');
+
+      return `
+        <div class="${escapeHtml(classes)}">
+          ${title ? `<div class="system-window-title">${escapeHtml(title)}</div>` : ''}
+          <div class="system-window-body">${renderHtml(item.body)}</div>
+          ${extra}
+          ${close ? '<div class="system-window-close">[CLOSE]</div>' : ''}
+        </div>
+      `;
+    }
+  };
+
+  PopupKinds.register('system');
+  PopupKinds.register('error');
+  PopupKinds.register('warning');
+  PopupKinds.register('glitch');
+  PopupKinds.register('status', { title: 'User Status' });
+  PopupKinds.register('log');
+
+  // ============================================================
+  // SEQUENCE SCRIPTS (Popup sequences written as plain text)
+  // ============================================================
+  // A script is one popup per block. Each block starts with a
+  // header line naming its kind, followed by its body:
+  //
+  //   // Comments start with two slashes
+  //   === status | title: User Status: CRITICAL | close
+  //   <div>HP: 31/4,892</div>
+  //
+  //   === system | title: System Management
+  //   <div>Final requests?</div>
+  //   * [YES] -> granted          (jump to the block with id: granted)
+  //   * [NO]                      (indented blocks play when picked)
+  //       === system | close
+  //       Response received: [NO]
+  //
+  // Header flags: close, glitch, type (or type: ms per character),
+  // delay: ms, auto: ms, title: text, id: name, next: name, class: names
+  // A .json script is an array of the same items start() accepts.
+
+  const SCRIPT_NUMBER_FLAGS = { delay: 'delay', auto: 'autoAdvance' };
+  const SCRIPT_TEXT_FLAGS = { title: 'title', id: 'id', next: 'next', class: 'className' };
+
+  /**
+   * Thrown when a script can't be loaded or has mistakes in it
+   * errors lists every problem found, e.g. ['line 4: Unknown kind "eror"']
+   */
+  class SequenceScriptError extends Error {
+    constructor(source, errors) {
+      super(`Sequence script ${source} has ${errors.length} problem${errors.length === 1 ? '' : 's'}`);
+      this.name = 'SequenceScriptError';
+      this.source = source;
+      this.errors = errors;
+    }
+  }
+
+  const SequenceScripts = {
+    /**
+     * Fetch and parse a script
+     * @param {string} url - .txt (or any text) or .json script
+     * @returns {Promise<Array>} Sequence items ready for SequencePopups.init
+     */
+    load(url) {
+      return fetch(url)
+        .catch(() => {
+          throw new SequenceScriptError(url, ['Could not be loaded (pages opened as file:// can\'t load scripts - use a local web server)']);
+        })
+        .then(response => {
+          if (!response.ok) {
+            throw new SequenceScriptError(url, [`Could not be loaded (HTTP ${response.status})`]);
+          }
+          return response.text();
+        })
+        .then(text => this.parse(text, url));
+    },
+
+    /**
+     * Parse script text into sequence items
+     * @throws {SequenceScriptError} Listing every malformed entry
+     */
+    parse(text, source = 'script') {
+      const errors = [];
+      const isJson = /\.json($|\?)/.test(source) || /^\s*\[/.test(text);
+      const items = isJson
+        ? this.parseJson(text, errors)
+        : this.parseBlocks(text.split(/\r?\n/).map((line, i) => ({ text: line, number: i + 1 })), errors);
+
+      if (items.length === 0 && errors.length === 0) {
+        errors.push('The script has no popups in it');
+      }
+      if (errors.length) {
+        throw new SequenceScriptError(source, errors);
+      }
+      return items;
+    },
+
+    /**
+     * Parse text blocks (recursively for indented choice sequences)
+     * @param {Array} lines - [{ text, number }] with original line numbers
+     * @param {Array} errors - Problems are pushed here
+     * @param {Object} refs - Shared { ids, targets } for checking jumps
+     */
+    parseBlocks(lines, errors, refs = null) {
+      const isRoot = !refs;
+      refs = refs || { ids: new Set(), targets: [] };
+      const items = [];
+      let item = null;
+      let body = [];
+      let i = 0;
+
+      const finishItem = () => {
+        if (!item) return;
+        item.body = body.join('\n').trim();
+        if (!item.body && !item.choices) {
+          errors.push(`line ${item.line}: Popup has no text`);
+        }
+        delete item.line;
+        items.push(item);
+      };
+
+      while (i < lines.length) {
+        const { text, number } = lines[i];
+        const trimmed = text.trim();
+        const indented = /^\s/.test(text);
+        i++;
+
+        if (trimmed.startsWith('//')) continue;
+
+        if (!indented && trimmed.startsWith('===')) {
+          finishItem();
+          item = this.parseHeader(trimmed, number, errors, refs);
+          body = [];
+          continue;
+        }
+
+        if (!trimmed) {
+          if (item && !item.choices) body.push('');
+          continue;
+        }
+
+        if (!item) {
+          errors.push(`line ${number}: Text before the first "===" header`);
+          continue;
+        }
+
+        if (!indented && trimmed.startsWith('*')) {
+          // Everything indented below the choice is its own little script
+          const nested = [];
+          while (i < lines.length && (/^\s/.test(lines[i].text) || !lines[i].text.trim())) {
+            nested.push(lines[i]);
+            i++;
+          }
+          item.choices = item.choices || [];
+          item.choices.push(this.parseChoice(trimmed, number, nested, errors, refs));
+          continue;
+        }
+
+        if (item.choices) {
+          errors.push(`line ${number}: Popup text must come before its choices`);
+          continue;
+        }
+
+        body.push(text);
+      }
+
+      finishItem();
+
+      if (isRoot) {
+        refs.targets.forEach(({ target, number }) => {
+          if (!refs.ids.has(target)) {
+            errors.push(`line ${number}: No popup has id "${target}"`);
+          }
+        });
+      }
+
+      return items;
+    },
+
+    /**
+     * Parse a "=== kind | flag | key: value" header line
+     */
+    parseHeader(header, number, errors, refs) {
+      const parts = header.replace(/^=+/, '').split('|').map(part => part.trim());
+      const kind = parts.shift().toLowerCase();
+      const item = { kind, line: number };
+
+      if (!kind) {
+        errors.push(`line ${number}: Missing popup kind after "==="`);
+      } else if (!PopupKinds.has(kind)) {
+        errors.push(`line ${number}: Unknown kind "${kind}" (known kinds: ${Object.keys(PopupKinds.kinds).join(', ')})`);
+      }
+
+      parts.forEach(part => {
+        if (!part) return;
+        const colon = part.indexOf(':');
+        const flag = (colon === -1 ? part : part.slice(0, colon)).trim().toLowerCase();
+        const value = colon === -1 ? null : part.slice(colon + 1).trim();
+
+        if (flag === 'close') {
+          item.close = true;
+        } else if (flag === 'glitch') {
+          item.glitch = value === null ? true : parseFloat(value);
+          if (value !== null && !(/^(0(\.\d+)?|1(\.0+)?|\.\d+)$/.test(value))) {
+            errors.push(`line ${number}: "glitch" intensity must be between 0 and 1, e.g. "glitch: 0.4"`);
+          }
+        } else if (flag === 'type') {
+          item.typewriter = value === null ? true : this.parseMs(value, flag, number, errors);
+        } else if (SCRIPT_NUMBER_FLAGS[flag]) {
+          item[SCRIPT_NUMBER_FLAGS[flag]] = this.parseMs(value, flag, number, errors);
+        } else if (SCRIPT_TEXT_FLAGS[flag]) {
+          if (!value) {
+            errors.push(`line ${number}: "${flag}" needs a value, e.g. "${flag}: something"`);
+            return;
+          }
+          item[SCRIPT_TEXT_FLAGS[flag]] = value;
+          if (flag === 'id') {
+            if (refs.ids.has(value)) errors.push(`line ${number}: id "${value}" is used twice`);
+            refs.ids.add(value);
+          }
+          if (flag === 'next') refs.targets.push({ target: value, number });
+        } else {
+          errors.push(`line ${number}: Unknown flag "${flag}"`);
+        }
+      });
+
+      return item;
+    },
+
+    /**
+     * Parse "* label" or "* label -> target" plus its indented sub-script
+     */
+    parseChoice(line, number, nested, errors, refs) {
+      const [label, target] = line.replace(/^\*\s*/, '').split('->').map(part => part.trim());
+      const choice = { label };
+
+      if (!label) {
+        errors.push(`line ${number}: Choice has no label`);
+      }
+      if (target !== undefined) {
+        if (!target) {
+          errors.push(`line ${number}: Choice "${label}" points nowhere after "->"`);
+        } else {
+          choice.goto = target;
+          refs.targets.push({ target, number });
+        }
+      }
+
+      if (nested.some(entry => entry.text.trim())) {
+        if (choice.goto) {
+          errors.push(`line ${number}: Choice "${label}" can jump with "->" or play indented popups, not both`);
+        }
+        const indent = Math.min(...nested.filter(entry => entry.text.trim()).map(entry => entry.text.match(/^\s*/)[0].length));
+        choice.sequence = this.parseBlocks(nested.map(entry => ({ text: entry.text.slice(indent), number: entry.number })), errors, refs);
+      }
+
+      return choice;
+    },
+
+    /**
+     * Read a flag value in milliseconds
+     */
+    parseMs(value, flag, number, errors) {
+      if (value === null || !/^\d+$/.test(value)) {
+        errors.push(`line ${number}: "${flag}" needs a number of milliseconds, e.g. "${flag}: 1500"`);
+        return undefined;
+      }
+      return parseInt(value, 10);
+    },
+
+    /**
+     * Parse and check a JSON script
+     */
+    parseJson(text, errors) {
+      let items;
+      try {
+        items = JSON.parse(text);
+      } catch (e) {
+        errors.push(`Invalid JSON: ${e.message}`);
+        return [];
+      }
+
+      if (!Array.isArray(items)) {
+        errors.push('A JSON script must be an array of popups');
+        return [];
+      }
+
+      const ids = new Set();
+      const targets = [];
+      const check = (list, path) => list.forEach((item, index) => {
+        const where = `${path}${index + 1}`;
+        if (!item || typeof item !== 'object') {
+          errors.push(`popup ${where}: Must be an object`);
+          return;
+        }
+        if (item.kind !== undefined && !PopupKinds.has(item.kind)) {
+          errors.push(`popup ${where}: Unknown kind "${item.kind}"`);
+        } else if (item.kind === undefined && item.type !== 'html' && item.type !== 'image') {
+          errors.push(`popup ${where}: Needs a "kind" (or "type": "html"/"image")`);
+        }
+        if (item.glitch !== undefined && item.glitch !== true && item.glitch !== false &&
+            !(typeof item.glitch === 'number' && item.glitch >= 0 && item.glitch <= 1)) {
+          errors.push(`popup ${where}: "glitch" must be true or a number between 0 and 1`);
+        }
+        ['delay', 'autoAdvance'].forEach(key => {
+          if (item[key] !== undefined && !(Number.isInteger(item[key]) && item[key] >= 0)) {
+            errors.push(`popup ${where}: "${key}" must be a number of milliseconds`);
+          }
+        });
+        if (item.id !== undefined) {
+          if (ids.has(item.id)) errors.push(`popup ${where}: id "${item.id}" is used twice`);
+          ids.add(item.id);
+        }
+        if (item.next !== undefined) targets.push({ target: item.next, where });
+        if (item.choices !== undefined) {
+          if (!Array.isArray(item.choices)) {
+            errors.push(`popup ${where}: "choices" must be an array`);
+            return;
+          }
+          item.choices.forEach((choice, c) => {
+            if (!choice || !choice.label) {
+              errors.push(`popup ${where}, choice ${c + 1}: Needs a "label"`);
+              return;
+            }
+            if (choice.goto !== undefined) targets.push({ target: choice.goto, where });
+            if (Array.isArray(choice.sequence)) check(choice.sequence, `${where}.${c + 1}.`);
+          });
+        }
+      });
+
+      check(items, '');
+      targets.forEach(({ target, where }) => {
+        if (!ids.has(target)) errors.push(`popup ${where}: No popup has id "${target}"`);
+      });
+
+      return items;
+    },
+
+    /**
+     * Log a script error and turn it into a popup the author can see
+     */
+    report(error) {
+      const errors = error.errors || [error.message];
+      console.error(`PopupSystem: ${error.message}\n  ${errors.join('\n  ')}`);
+      return {
+        kind: 'error',
+        title: 'Sequence script error',
+        close: true,
+        body: `
+          <div>${escapeHtml(error.source || 'Script')}</div>
+          ${errors.map(message => `<div>${escapeHtml(message)}</div>`).join('')}
+        `
+      };
+    }
+  };
+
   // ============================================================
   // SCENARIO A: SEQUENCE POPUPS
   // ============================================================
   
   const SequencePopups = {
     items: [],
-    currentIndex: 0,
+    frames: [],
+    path: [],
+    trail: [],
+    effects: [],
+    autoAdvanceTimer: null,
+    delayTimer: null,
+    transitionTimer: null,
+    storageKey: null,
+    linkUrl: false,
     container: null,
+    controls: null,
+    overlay: null,
     isActive: false,
+    isTransitioning: false,
+    persist: true,
     onComplete: null,
 
     /**
      * Initialize a popup sequence
      * @param {Array} items - Array of popup content objects
      *   Each item can have: { type: 'image'|'html', content: '...' }
+     *   or use a registered look: { kind: 'error', body: '...', title, close }
+     *   Branching is optional - an item may also have:
+     *     id: 'step-name'   - names the step so other items can jump to it
+     *     next: 'step-name' - jump to that step instead of the following item
+     *     choices: [{ label, value, goto: 'step-name' } or { label, value, sequence: [...] }]
+     *       A choice with neither goto nor sequence simply continues.
+     *       A sub-sequence plays through, then the step after the choice follows.
+     *   Timing is optional too:
+     *     delay: ms - wait this long on an empty screen before the popup appears
+     *     glitch: true or 0..1 - the popup flickers in and its text corrupts itself
+     *     typewriter: true or ms per character - text types itself out
+     *     autoAdvance: ms - move on by itself this long after animations finish
+     *   log: false keeps a popup out of the reader's System Log
+     *     Live counters go in the content markup (see startCounter)
      * @param {Function} onComplete - Callback when sequence ends
+     *   Receives the reader's path: [{ step, label, value }] for each choice made
+     * @param {Object} options - Optional settings
+     *   id: Name the saved position is stored under (default: chapter file name)
+     *   resume: Pick up where the reader left off, or at the #step= in
+     *     the URL, and keep the URL pointing at the current step (default: true)
+     *   persist: Save the position and mark the chapter read when it ends
+     *     (default: true)
      */
-    init(items, onComplete = null) {
+    init(items, onComplete = null, options = {}) {
       this.items = items;
-      this.currentIndex = 0;
       this.onComplete = onComplete;
       this.isActive = true;
+      clearTimeout(this.transitionTimer);
+      this.transitionTimer = null;
+      this.isTransitioning = false;
+      this.storageKey = `story-sequence-${options.id || getChapterId()}`;
+      this.linkUrl = options.resume !== false;
+      this.persist = options.persist !== false;
+
+      // Replay the linked or saved route so a reload lands on the same popup
+      const saved = this.linkUrl ? (this.linkedTrail() || readStorage(this.storageKey)) : null;
+      this.replay(Array.isArray(saved) ? saved : []);
+
+      if (this.overlay) {
+        OverlayStack.close(this.overlay);
+        this.unbindEvents();
+      }
 
       this.createContainer();
-      showBackdrop();
-      this.showCurrentPopup();
+      this.createControls();
       this.bindEvents();
+      this.presentCurrentPopup();
+    },
+
+    /**
+     * Start a sequence from a script file (see SEQUENCE SCRIPTS)
+     * A broken script is logged and shown as an error popup; dismissing it
+     * still calls onComplete so the rest of the page stays reachable.
+     * @returns {Promise<Array>} The parsed items, or rejects with SequenceScriptError
+     */
+    load(url, onComplete = null, options = {}) {
+      return SequenceScripts.load(url).then(items => {
+        this.init(items, onComplete, options);
+        return items;
+      }, error => {
+        // Its own id, and nothing saved: dismissing it must not clear the
+        // chapter's position or count the chapter as read
+        this.init([Object.assign(SequenceScripts.report(error), { log: false })], onComplete, { id: 'script-error', resume: false, persist: false });
+        throw error;
+      });
+    },
+
+    /**
+     * Start the script named by <body data-sequence-src="...">
+     * When it ends, [data-sequence-reveal] elements become visible and
+     * a 'sequencecomplete' event carries the reader's path.
+     */
+    autoStart() {
+      const src = document.body.dataset.sequenceSrc;
+      if (!src) return;
+
+      this.load(src, path => {
+        document.querySelectorAll('[data-sequence-reveal]').forEach(el => el.classList.add('is-visible'));
+        window.dispatchEvent(new CustomEvent('sequencecomplete', { detail: { path } }));
+      }).catch(() => {
+        // Already reported by load()
+      });
     },
 
     /**
@@ -113,71 +1679,458 @@
       this.container.className = 'popup popup-sequence';
       this.container.setAttribute('role', 'dialog');
       this.container.setAttribute('aria-modal', 'true');
+      this.container.setAttribute('tabindex', '-1');
       document.body.appendChild(this.container);
     },
 
+    /**
+     * Create the back / skip controls that stay on screen between popups
+     */
+    createControls() {
+      const existing = document.getElementById('sequence-controls');
+      if (existing) existing.remove();
+
+      this.controls = document.createElement('div');
+      this.controls.id = 'sequence-controls';
+      this.controls.className = 'popup-sequence-controls';
+      this.controls.innerHTML = `
+        <button type="button" class="popup-sequence-control" data-sequence-action="back" aria-label="Previous popup">&#8249; Back</button>
+        <button type="button" class="popup-sequence-control" data-sequence-action="skip">Skip to end &#8250;&#8250;</button>
+      `;
+
+      this.controls.querySelector('[data-sequence-action="back"]').addEventListener('click', () => this.back());
+      this.controls.querySelector('[data-sequence-action="skip"]').addEventListener('click', () => this.skip());
+
+      document.body.appendChild(this.controls);
+    },
+
+    /**
+     * Reflect the current position in the controls
+     */
+    updateControls() {
+      if (!this.controls) return;
+      this.controls.querySelector('[data-sequence-action="back"]').disabled = this.trail.length === 0;
+    },
+
+    /**
+     * The innermost (sub-)sequence currently playing
+     */
+    currentFrame() {
+      return this.frames[this.frames.length - 1];
+    },
+
+    /**
+     * The item at the current position, or undefined once finished
+     */
+    currentItem() {
+      const frame = this.currentFrame();
+      return frame.items[frame.index];
+    },
+
+    /**
+     * Whether the current item is the last one the reader will see
+     */
+    isLastItem() {
+      const item = this.currentItem();
+      if (!item || item.next || (item.choices && item.choices.length)) return false;
+      return this.frames.every(frame => frame.index === frame.items.length - 1);
+    },
+
+    /**
+     * Show the current popup, after its delay if it has one
+     */
+    presentCurrentPopup() {
+      const item = this.currentItem();
+      this.updateUrl();
+      if (!item || !item.delay) {
+        this.showCurrentPopup();
+        return;
+      }
+
+      this.updateControls();
+      this.delayTimer = setTimeout(() => {
+        this.delayTimer = null;
+        this.showCurrentPopup();
+      }, item.delay);
+    },
+
     /**
      * Show the current popup in the sequence
      */
     showCurrentPopup() {
-      const item = this.items[this.currentIndex];
+      const item = this.currentItem();
       if (!item) {
         this.complete();
         return;
       }
 
+      const hasChoices = Array.isArray(item.choices) && item.choices.length > 0;
+      const choices = hasChoices ? this.renderChoices(item.choices) : '';
       let content = '';
       
-      if (item.type === 'image') {
-        content = `<img src="${item.content}" alt="${item.alt || 'Story image'}" />`;
+      if (item.kind) {
+        // Kinds draw the choices inside their own window
+        content = PopupKinds.render(item, choices);
+      } else if (item.type === 'image') {
+        content = `<img src="${escapeHtml(safeUrl(item.content))}" alt="${escapeHtml(item.alt || 'Story image')}" />`;
       } else if (item.type === 'html') {
-        content = item.content;
+        content = renderHtml(item.content);
       }
 
+      let prompt = this.isLastItem() ? 'Click to begin reading...' : 'Click to continue...';
+      if (hasChoices) prompt = 'Choose a response...';
+
       this.container.innerHTML = `
         <div class="popup-sequence-content">
-          ${content}
+          <div class="popup-sequence-body">
+            ${content}
+          </div>
+          ${item.kind ? '' : choices}
           <div class="popup-sequence-continue">
-            ${this.currentIndex < this.items.length - 1 ? 'Click to continue...' : 'Click to begin reading...'}
+            ${prompt}
           </div>
         </div>
       `;
 
       // Animate in
+      this.container.classList.remove('glitch-enter');
       this.container.offsetHeight; // Force reflow
+      this.container.classList.toggle('glitch-enter', !!item.glitch);
       this.container.classList.add('is-visible');
+
+      // Keyboard readers land on the first option (or the popup itself)
+      if (hasChoices) {
+        this.container.querySelector('.popup-sequence-choice').focus();
+      } else if (!this.controls.contains(document.activeElement)) {
+        this.container.focus({ preventScroll: true });
+      }
+
+      this.updateControls();
+      this.startEffects(item);
+
+      // Logged by position in the route, so repeated beats each get an entry
+      if (item.log !== false) SystemLog.record(item.kind
+        ? { kind: item.kind, title: item.title, html: item.body }
+        : { html: item.type === 'html' ? item.content : null, image: item.type === 'image' ? item.content : null },
+        `${this.storageKey}:${this.trail.join('.')}`);
     },
 
     /**
-     * Advance to the next popup
+     * Start the typewriter, then any live counters, then the auto-advance timer.
+     * Reduced-motion readers get the finished text and final counter values at once.
      */
-    next() {
+    startEffects(item) {
+      const body = this.container.querySelector('.popup-sequence-body');
+      const counters = Array.from(body.querySelectorAll('[data-counter]'));
+      const reduceMotion = prefersReducedMotion();
+
+      const startCounters = () => {
+        // Typed text goes in with its bars; unlocked words decode now
+        Redactions.apply(body);
+        if (item.glitch) {
+          const target = body.querySelector('.system-window-body') || body;
+          this.effects.push(startGlitch(target, parseGlitchIntensity(item.glitch)));
+        }
+        counters.forEach(counter => {
+          const effect = startCounter(counter, () => this.onEffectDone(item));
+          if (reduceMotion) effect.finish();
+          this.effects.push(effect);
+        });
+        this.onEffectDone(item);
+      };
+
+      if (item.typewriter && !reduceMotion) {
+        const speed = typeof item.typewriter === 'number' ? item.typewriter : 35;
+        this.effects.push(startTypewriter(body, speed, startCounters));
+      } else {
+        startCounters();
+      }
+    },
+
+    /**
+     * Whether the current popup is still typing or counting
+     */
+    isAnimating() {
+      return this.effects.some(effect => effect.isRunning());
+    },
+
+    /**
+     * Once everything has settled, start the auto-advance countdown
+     */
+    onEffectDone(item) {
+      if (this.isAnimating() || !item.autoAdvance || this.autoAdvanceTimer) return;
+      this.autoAdvanceTimer = setTimeout(() => {
+        this.autoAdvanceTimer = null;
+        this.next();
+      }, item.autoAdvance);
+    },
+
+    /**
+     * Jump every running animation to its end state
+     */
+    finishEffects() {
+      // Finishing the typewriter starts the counters, so loop until settled
+      while (this.isAnimating()) {
+        this.effects.filter(effect => effect.isRunning()).forEach(effect => effect.finish());
+      }
+    },
+
+    /**
+     * Cancel all timers belonging to the current popup
+     */
+    stopEffects() {
+      this.effects.forEach(effect => effect.stop());
+      this.effects = [];
+      clearTimeout(this.autoAdvanceTimer);
+      this.autoAdvanceTimer = null;
+      clearTimeout(this.delayTimer);
+      this.delayTimer = null;
+    },
+
+    /**
+     * Build the option buttons for a branching item
+     */
+    renderChoices(choices) {
+      return `
+        <div class="popup-sequence-choices" role="group" aria-label="Responses">
+          ${choices.map((choice, i) => `<button type="button" class="popup-sequence-choice" data-choice="${i}">${escapeHtml(choice.label)}</button>`).join('')}
+        </div>
+      `;
+    },
+
+    /**
+     * Find a named step and make it the current position.
+     * Searches the innermost sequence first, then each enclosing one,
+     * dropping any sub-sequences the jump leaves behind.
+     * @returns {boolean} Whether the step was found
+     */
+    jumpTo(id) {
+      for (let depth = this.frames.length - 1; depth >= 0; depth--) {
+        const index = this.frames[depth].items.findIndex(item => item.id === id);
+        if (index !== -1) {
+          this.frames.length = depth + 1;
+          this.frames[depth].index = index;
+          return true;
+        }
+      }
+
+      console.warn(`SequencePopups: No step named "${id}"`);
+      return false;
+    },
+
+    /**
+     * Leave any sub-sequences that have played through
+     */
+    unwindFrames() {
+      while (this.frames.length > 1 && this.currentFrame().index >= this.currentFrame().items.length) {
+        this.frames.pop();
+      }
+    },
+
+    /**
+     * Move the position past the current item without rendering
+     * @param {number|null} action - Index of the option picked, or null to continue
+     */
+    step(action) {
+      const item = this.currentItem();
+      const choice = action === null ? null : item.choices[action];
+
+      if (choice) {
+        this.path.push({
+          step: item.id || null,
+          label: choice.label,
+          value: choice.value !== undefined ? choice.value : choice.label
+        });
+      }
+
+      this.trail.push(action);
+      this.currentFrame().index++;
+
+      if (choice && choice.goto) {
+        this.jumpTo(choice.goto);
+      } else if (choice && Array.isArray(choice.sequence)) {
+        this.frames.push({ items: choice.sequence, index: 0 });
+      } else if (item && item.next) {
+        this.jumpTo(item.next);
+      }
+
+      this.unwindFrames();
+    },
+
+    /**
+     * Rebuild the position from the start by repeating recorded actions.
+     * Stops early if the sequence has changed and an action no longer fits.
+     * @param {Array} trail - Actions as recorded by step()
+     */
+    replay(trail) {
+      this.frames = [{ items: this.items, index: 0 }];
+      this.path = [];
+      this.trail = [];
+
+      for (const action of trail) {
+        const item = this.currentItem();
+        if (!item) break;
+        const options = item.choices || [];
+        const fits = action === null ? options.length === 0 : Boolean(options[action]);
+        if (!fits) break;
+        this.step(action);
+      }
+
+      // A route that ran off the end restarts the sequence
+      if (!this.currentItem() && trail.length) {
+        this.replay([]);
+      }
+    },
+
+    /**
+     * Remember the route so far for this chapter
+     */
+    savePosition() {
+      if (!this.persist) return;
+      writeStorage(this.storageKey, this.trail);
+    },
+
+    /**
+     * Build the route named by #step=<n>&choices=<i.j...> in the URL:
+     * the nth popup, taking the listed options (first option if missing).
+     * @returns {Array|null} Actions for replay(), or null without a step
+     */
+    linkedTrail() {
+      const params = UrlState.read();
+      const step = parseInt(params.get('step'), 10);
+      if (!(step > 0)) return null;
+
+      const picks = (params.get('choices') || '').split('.').filter(Boolean).map(Number);
+      this.replay([]);
+
+      while (this.trail.length < step - 1 && this.currentItem()) {
+        const item = this.currentItem();
+        let action = null;
+        if (item.choices && item.choices.length) {
+          const pick = picks.shift();
+          action = item.choices[pick] ? pick : 0;
+        }
+        this.step(action);
+      }
+
+      return this.trail.slice();
+    },
+
+    /**
+     * Point the URL at the current popup (see linkedTrail)
+     */
+    updateUrl() {
+      if (!this.linkUrl) return;
+      const choices = this.trail.filter(action => action !== null);
+      UrlState.update({
+        step: this.isActive ? this.trail.length + 1 : null,
+        choices: this.isActive && choices.length ? choices.join('.') : null
+      });
+    },
+
+    /**
+     * Animate the current popup out, run the move, then show what comes next
+     * @param {Function} move - Changes the position while nothing is on screen
+     */
+    transition(move) {
+      if (this.isTransitioning) return;
+      this.isTransitioning = true;
+      this.stopEffects();
+
       // Animate out
       this.container.classList.remove('is-visible');
       
-      setTimeout(() => {
-        this.currentIndex++;
-        if (this.currentIndex < this.items.length) {
-          this.showCurrentPopup();
+      this.transitionTimer = setTimeout(() => {
+        this.transitionTimer = null;
+        this.isTransitioning = false;
+        // Skipped to the end while this popup was on its way out
+        if (!this.isActive) return;
+        move();
+        if (this.currentItem()) {
+          this.savePosition();
+          this.presentCurrentPopup();
         } else {
           this.complete();
         }
       }, 300); // Match CSS transition duration
     },
 
+    /**
+     * Move past the current popup
+     * @param {number|null} action - Index of the option picked, or null to continue
+     */
+    advance(action = null) {
+      this.transition(() => this.step(action));
+    },
+
+    /**
+     * Go back to the previous popup, undoing any choice made there
+     */
+    back() {
+      if (!this.isActive || this.trail.length === 0) return;
+      const trail = this.trail.slice(0, -1);
+      this.transition(() => this.replay(trail));
+    },
+
+    /**
+     * Jump straight to the end of the sequence
+     */
+    skip() {
+      if (!this.isActive) return;
+      this.complete();
+    },
+
+    /**
+     * Advance to the next popup
+     * A popup that is still animating finishes first; the next call moves on.
+     * Items with choices wait for one to be picked instead.
+     */
+    next() {
+      if (this.delayTimer) return;
+      if (this.isAnimating()) {
+        this.finishEffects();
+        return;
+      }
+
+      const item = this.currentItem();
+      if (item && Array.isArray(item.choices) && item.choices.length) return;
+      this.advance();
+    },
+
+    /**
+     * Pick one of the current item's options and follow it
+     * @param {number} index - Position of the option in item.choices
+     */
+    choose(index) {
+      const item = this.currentItem();
+      if (!item || !item.choices || !item.choices[index]) return;
+      this.advance(index);
+    },
+
     /**
      * Complete the sequence
      */
     complete() {
       this.isActive = false;
+      clearTimeout(this.transitionTimer);
+      this.transitionTimer = null;
+      this.isTransitioning = false;
+      this.stopEffects();
       this.container.classList.remove('is-visible');
-      hideBackdrop();
+      this.unbindEvents();
+
+      // Finished readers start from the top next time
+      this.updateUrl();
+      if (this.persist) {
+        writeStorage(this.storageKey, null);
+        markChapterRead();
+      }
       
       setTimeout(() => {
         this.container.remove();
-        this.unbindEvents();
+        this.controls.remove();
         if (this.onComplete) {
-          this.onComplete();
+          this.onComplete(this.path.slice());
         }
       }, 300);
     },
@@ -186,101 +2139,295 @@
      * Bind event listeners
      */
     bindEvents() {
-      this._handleClick = (e) => {
-        if (this.isActive) {
+      const handleClick = (e) => {
+        if (!this.isActive || this.controls.contains(e.target)) return;
+
+        const option = e.target.closest('[data-choice]');
+        if (option && this.container.contains(option)) {
+          this.choose(parseInt(option.dataset.choice, 10));
+        } else {
           this.next();
         }
       };
 
-      this._handleKeydown = (e) => {
-        if (this.isActive && (e.key === 'Enter' || e.key === ' ' || e.key === 'Escape')) {
+      const handleKeydown = (e) => {
+        // Let Enter/Space activate a focused button natively
+        if (e.target.closest && e.target.closest('[data-choice], [data-sequence-action]')) return;
+
+        if (!this.isActive) return;
+
+        if (e.key === 'Enter' || e.key === ' ' || e.key === 'ArrowRight') {
           e.preventDefault();
           this.next();
+        } else if (e.key === 'ArrowLeft' || e.key === 'Backspace') {
+          e.preventDefault();
+          this.back();
+        } else if (e.key === 'End') {
+          e.preventDefault();
+          this.skip();
+        }
+      };
+
+      this.overlay = OverlayStack.open({
+        elements: [this.container, this.controls],
+        focus: this.container,
+        onClick: handleClick,
+        onEscape: () => this.isActive && this.next(),
+        onKeydown: handleKeydown
+      });
+
+      // Swipe right to go back, left to continue
+      this._handleTouchStart = (e) => {
+        this._touchStartX = e.changedTouches[0].clientX;
+      };
+
+      this._handleTouchEnd = (e) => {
+        if (!this.isActive || this._touchStartX === undefined || !OverlayStack.isTop(this.overlay)) return;
+        const deltaX = e.changedTouches[0].clientX - this._touchStartX;
+        this._touchStartX = undefined;
+
+        if (deltaX > 60) {
+          this.back();
+        } else if (deltaX < -60) {
+          this.next();
+        }
+      };
+
+      document.addEventListener('touchstart', this._handleTouchStart, { passive: true });
+      document.addEventListener('touchend', this._handleTouchEnd);
+    },
+
+    /**
+     * Unbind event listeners
+     */
+    unbindEvents() {
+      OverlayStack.close(this.overlay);
+      this.overlay = null;
+      document.removeEventListener('touchstart', this._handleTouchStart);
+      document.removeEventListener('touchend', this._handleTouchEnd);
+    }
+  };
+
+  // ============================================================
+  // SCENARIO B: SYSTEM POPUPS (Scroll-triggered)
+  // ============================================================
+
+  const DEFAULT_TRIGGER_MARGIN = '-20% 0px -20% 0px'; // Middle 60% of viewport
+  const READ_THRESHOLD = 90; // % scrolled that counts as finishing the chapter
+  const TOAST_DURATION = 4000;
+  const TOAST_LIMIT = 4;
+
+  const SystemPopups = {
+    triggers: [],
+    queue: [],
+    currentPopup: null,
+    isShowingPopup: false,
+    observers: {},
+    progressTriggers: [],
+    resizeObserver: null,
+    recheckPending: false,
+    timers: new Map(),
+    isReread: false,
+    overlay: null,
+    glitch: null,
+    toastStack: null,
+    toastDismissers: new Map(), // Toast element → its dismiss(now)
+    announcer: null,
+
+    /**
+     * Initialize system popups by scanning for trigger elements
+     * Triggers should have data attributes:
+     *   data-system-popup="true"
+     *   data-popup-image="/path/to/image.png" OR
+     *   data-popup-html="<div>HTML content</div>" (sanitised) OR
+     *   data-popup-html-raw="..." (used as-is - only for markup you wrote)
+     * Optionally draw the HTML in a registered popup kind:
+     *   data-popup-kind="status" data-popup-title="User Status"
+     * data-popup-glitch="true" flickers the popup in; a number from 0 to 1
+     * also corrupts its text at that intensity
+     * data-popup-mode="toast" shows a small corner notice instead of a modal,
+     * which closes itself after data-popup-duration ms (default 4000)
+     * When it fires (all optional):
+     *   data-popup-delay="1500"   - wait this long after it comes into view
+     *   data-popup-dwell="2000"   - only once it has stayed in view this long
+     *   data-popup-progress="50"  - at 50% of the chapter instead of on view
+     *   data-popup-read="first" or "reread" - only on that kind of visit
+     *   data-popup-margin="0px 0px -40% 0px" - observer rootMargin for this trigger
+     */
+    init() {
+      this.isReread = readStorage(`story-read-${getChapterId()}`) === true;
+      this.bindProgress();
+
+      // Triggers meant for the other kind of read never fire
+      this.triggers = Array.from(document.querySelectorAll('[data-system-popup]'))
+        .filter(trigger => {
+          const read = trigger.dataset.popupRead;
+          return !(read === 'first' && this.isReread) && !(read === 'reread' && !this.isReread);
+        });
+      
+      if (this.triggers.length === 0) return;
+
+      this.watchTriggers();
+    },
+
+    /**
+     * Start watching every trigger that hasn't fired yet
+     * Progress triggers wait on the scroll position; the rest get an
+     * Intersection Observer for their margin.
+     */
+    watchTriggers() {
+      this.triggers.forEach(trigger => {
+        if (trigger.dataset.popupTriggered) return;
+        if (trigger.dataset.popupProgress !== undefined) {
+          this.progressTriggers.push(trigger);
+        } else {
+          this.observerFor(trigger.dataset.popupMargin || DEFAULT_TRIGGER_MARGIN).observe(trigger);
         }
+      });
+
+      // The page growing (or shrinking) moves where the reader is
+      if (this.progressTriggers.length && !this.resizeObserver && 'ResizeObserver' in window) {
+        this.resizeObserver = new ResizeObserver(() => this.recheckProgress());
+        this.resizeObserver.observe(document.body);
+      }
+      this.checkProgress();
+    },
+
+    /**
+     * Share one observer between all triggers with the same margin
+     */
+    observerFor(margin) {
+      if (!this.observers[margin]) {
+        this.observers[margin] = new IntersectionObserver(
+          (entries) => this.handleIntersection(entries, margin),
+          { root: null, rootMargin: margin, threshold: 0 }
+        );
+      }
+      return this.observers[margin];
+    },
+
+    /**
+     * Handle intersection observer entries
+     * data-popup-dwell needs the trigger to stay on screen that long;
+     * scrolling away first cancels it until it comes back.
+     */
+    handleIntersection(entries, margin) {
+      entries.forEach(entry => {
+        const trigger = entry.target;
+        if (trigger.dataset.popupTriggered) return;
+
+        const dwell = parseInt(trigger.dataset.popupDwell, 10) || 0;
+
+        if (entry.isIntersecting) {
+          if (!this.timers.has(trigger)) {
+            this.schedule(trigger, dwell + (parseInt(trigger.dataset.popupDelay, 10) || 0), margin);
+          }
+        } else if (dwell && this.timers.has(trigger)) {
+          clearTimeout(this.timers.get(trigger));
+          this.timers.delete(trigger);
+        }
+      });
+    },
+
+    /**
+     * Fire a trigger after a wait (data-popup-delay, plus any dwell)
+     */
+    schedule(trigger, wait, margin = null) {
+      if (wait <= 0) {
+        this.fire(trigger, margin);
+        return;
+      }
+      this.timers.set(trigger, setTimeout(() => this.fire(trigger, margin), wait));
+    },
+
+    /**
+     * Show a trigger's popup (once per page load)
+     */
+    fire(trigger, margin) {
+      this.timers.delete(trigger);
+      if (trigger.dataset.popupTriggered) return;
+      trigger.dataset.popupTriggered = 'true';
+      if (margin) this.observers[margin].unobserve(trigger);
+
+      const popupData = {
+        image: trigger.dataset.popupImage,
+        // data-popup-html-raw skips sanitising (markup you wrote yourself)
+        html: trigger.dataset.popupHtmlRaw !== undefined ? trustHtml(trigger.dataset.popupHtmlRaw) : trigger.dataset.popupHtml,
+        kind: trigger.dataset.popupKind,
+        title: trigger.dataset.popupTitle,
+        glitch: trigger.dataset.popupGlitch,
+        duration: parseInt(trigger.dataset.popupDuration, 10),
+        logKey: `trigger:${Array.from(document.querySelectorAll('[data-system-popup]')).indexOf(trigger)}`
       };
 
-      document.addEventListener('click', this._handleClick);
-      document.addEventListener('keydown', this._handleKeydown);
+      if (trigger.dataset.popupMode === 'toast') {
+        // Toasts skip the modal queue entirely
+        this.showToast(popupData);
+      } else {
+        // Add to queue
+        this.queue.push(popupData);
+
+        // Show next popup if not currently showing one
+        if (!this.isShowingPopup) {
+          this.showNextPopup();
+        }
+      }
     },
 
     /**
-     * Unbind event listeners
+     * Track how far through the chapter the reader is
+     * Reaching the end marks the chapter as read for next time.
      */
-    unbindEvents() {
-      document.removeEventListener('click', this._handleClick);
-      document.removeEventListener('keydown', this._handleKeydown);
-    }
-  };
-
-  // ============================================================
-  // SCENARIO B: SYSTEM POPUPS (Scroll-triggered)
-  // ============================================================
+    bindProgress() {
+      let pending = false;
+      window.addEventListener('scroll', () => {
+        if (pending) return;
+        pending = true;
+        requestAnimationFrame(() => {
+          pending = false;
+          if (getReadingProgress() >= READ_THRESHOLD) markChapterRead();
+          this.checkProgress();
+        });
+      }, { passive: true });
 
-  const SystemPopups = {
-    triggers: [],
-    queue: [],
-    currentPopup: null,
-    isShowingPopup: false,
-    observer: null,
+      window.addEventListener('resize', () => this.recheckProgress());
+    },
 
     /**
-     * Initialize system popups by scanning for trigger elements
-     * Triggers should have data attributes:
-     *   data-system-popup="true"
-     *   data-popup-image="/path/to/image.png" OR
-     *   data-popup-html="<div>HTML content</div>"
+     * Check progress triggers again on the next frame
+     * Content that loads later (articles, forum threads) or a resize can
+     * turn a page too short to scroll into one that scrolls.
      */
-    init() {
-      this.triggers = Array.from(document.querySelectorAll('[data-system-popup]'));
-      
-      if (this.triggers.length === 0) return;
-
-      // Create Intersection Observer to detect when triggers scroll into view
-      this.observer = new IntersectionObserver(
-        (entries) => this.handleIntersection(entries),
-        {
-          root: null,
-          rootMargin: '-20% 0px -20% 0px', // Trigger when element is in middle 60% of viewport
-          threshold: 0
-        }
-      );
-
-      // Observe all triggers
-      this.triggers.forEach(trigger => {
-        this.observer.observe(trigger);
+    recheckProgress() {
+      if (this.recheckPending) return;
+      this.recheckPending = true;
+      requestAnimationFrame(() => {
+        this.recheckPending = false;
+        this.checkProgress();
       });
-
-      // Bind close event
-      this.bindEvents();
     },
 
     /**
-     * Handle intersection observer entries
+     * Fire progress triggers the reader has scrolled past
      */
-    handleIntersection(entries) {
-      entries.forEach(entry => {
-        if (entry.isIntersecting) {
-          const trigger = entry.target;
-          
-          // Only trigger once
-          if (trigger.dataset.popupTriggered) return;
-          trigger.dataset.popupTriggered = 'true';
-          
-          // Add to queue
-          this.queue.push({
-            image: trigger.dataset.popupImage,
-            html: trigger.dataset.popupHtml,
-            glitch: trigger.dataset.popupGlitch === 'true'
-          });
+    checkProgress() {
+      if (this.progressTriggers.length === 0) {
+        // Nothing left to wait for
+        if (this.resizeObserver) this.resizeObserver.disconnect();
+        this.resizeObserver = null;
+        return;
+      }
 
-          // Show next popup if not currently showing one
-          if (!this.isShowingPopup) {
-            this.showNextPopup();
-          }
+      // A page too short to scroll reads as 100%, which would fire every
+      // trigger on load: there only the end-of-chapter ones count
+      const scrollable = document.documentElement.scrollHeight > window.innerHeight;
+      const progress = scrollable ? getReadingProgress() : 0;
 
-          // Stop observing this trigger
-          this.observer.unobserve(trigger);
-        }
+      this.progressTriggers = this.progressTriggers.filter(trigger => {
+        const at = parseFloat(trigger.dataset.popupProgress);
+        if (progress < at && (scrollable || at < 100)) return true;
+        this.schedule(trigger, parseInt(trigger.dataset.popupDelay, 10) || 0);
+        return false;
       });
     },
 
@@ -299,44 +2446,180 @@
       // Create popup element
       this.currentPopup = document.createElement('div');
       this.currentPopup.className = 'popup popup-system';
-      if (popupData.glitch) {
+      if (popupData.glitch && popupData.glitch !== 'false') {
         this.currentPopup.classList.add('glitch-enter');
       }
       this.currentPopup.setAttribute('role', 'alertdialog');
       this.currentPopup.setAttribute('aria-modal', 'true');
-
-      let content = '';
-      if (popupData.image) {
-        content = `<img src="${popupData.image}" alt="System notification" />`;
-      } else if (popupData.html) {
-        content = `
-          <div class="popup-system-content">
-            ${popupData.html}
-          </div>
-        `;
+      if (popupData.kind) {
+        // The kind's window replaces the default frame
+        this.currentPopup.classList.add('popup-system-kind');
       }
 
       this.currentPopup.innerHTML = `
-        ${content}
+        ${this.renderContent(popupData)}
         <div class="popup-system-dismiss">Click anywhere to dismiss</div>
       `;
 
       document.body.appendChild(this.currentPopup);
-      showBackdrop();
+      this.overlay = OverlayStack.open({
+        elements: [this.currentPopup],
+        onClick: () => this.closeCurrentPopup(),
+        onEscape: () => this.closeCurrentPopup(),
+        onKeydown: (e) => {
+          if (e.key === 'Enter' || e.key === ' ') {
+            e.preventDefault();
+            this.closeCurrentPopup();
+          }
+        }
+      });
+      Redactions.apply(this.currentPopup);
+      this.glitch = this.startContentGlitch(this.currentPopup, popupData);
+      if (!popupData.replay) SystemLog.record(popupData, popupData.logKey);
 
       // Animate in
       this.currentPopup.offsetHeight;
       this.currentPopup.classList.add('is-visible');
     },
 
+    /**
+     * Build the inside of a popup or toast
+     */
+    renderContent(popupData) {
+      if (popupData.image) {
+        return `<img src="${escapeHtml(safeUrl(popupData.image))}" alt="System notification" />`;
+      }
+      if (popupData.kind) {
+        return PopupKinds.render({ kind: popupData.kind, title: popupData.title, body: popupData.html });
+      }
+      if (popupData.html) {
+        return `
+          <div class="popup-system-content">
+            ${renderHtml(popupData.html)}
+          </div>
+        `;
+      }
+      return '';
+    },
+
+    /**
+     * A number (data-popup-glitch="0.4") also corrupts the text
+     * @returns {Object|null} Glitch controller to stop on close
+     */
+    startContentGlitch(popup, popupData) {
+      const intensity = parseFloat(popupData.glitch);
+      const text = popup.querySelector('.system-window-body, .popup-system-content');
+      if (!(intensity > 0) || !text) return null;
+      return startGlitch(text, Math.min(1, intensity));
+    },
+
+    /**
+     * Show a non-modal notice in the corner
+     * Toasts stack, never block scrolling, close themselves and are
+     * read out through a polite live region.
+     * @param {Object} popupData - { html, image, kind, title, glitch, duration }
+     */
+    showToast(popupData) {
+      if (!this.toastStack) {
+        this.toastStack = document.createElement('div');
+        this.toastStack.className = 'popup-toasts';
+        document.body.appendChild(this.toastStack);
+
+        this.announcer = document.createElement('div');
+        this.announcer.className = 'visually-hidden';
+        this.announcer.setAttribute('role', 'status');
+        this.announcer.setAttribute('aria-live', 'polite');
+        document.body.appendChild(this.announcer);
+      }
+
+      const toast = document.createElement('div');
+      toast.className = 'popup-toast';
+      if (popupData.kind) toast.classList.add('popup-system-kind');
+      if (popupData.glitch && popupData.glitch !== 'false') toast.classList.add('glitch-enter');
+      toast.innerHTML = this.renderContent(popupData);
+      Redactions.apply(toast);
+
+      // Read out the clean text (before any glitching); images use their alt text
+      const spoken = toast.textContent.trim() || (popupData.image ? 'System notification' : '');
+
+      // Oldest toast makes room once the stack is full (stopping its
+      // timer and glitch; one already fading out just goes)
+      while (this.toastStack.children.length >= TOAST_LIMIT) {
+        const oldest = this.toastStack.firstElementChild;
+        const dismissOldest = this.toastDismissers.get(oldest);
+        if (dismissOldest) {
+          dismissOldest(true);
+        } else {
+          oldest.remove();
+        }
+      }
+      this.toastStack.appendChild(toast);
+
+      const glitch = this.startContentGlitch(toast, popupData);
+      const duration = popupData.duration > 0 ? popupData.duration : TOAST_DURATION;
+      let timer = null;
+
+      const dismiss = (now = false) => {
+        clearTimeout(timer);
+        if (glitch) glitch.stop();
+        this.toastDismissers.delete(toast);
+        if (now) {
+          toast.remove();
+          return;
+        }
+        toast.classList.remove('is-visible');
+        setTimeout(() => toast.remove(), 300);
+      };
+      const schedule = () => {
+        clearTimeout(timer);
+        timer = setTimeout(dismiss, duration);
+      };
+
+      // Hovering holds the toast; clicking closes it early
+      this.toastDismissers.set(toast, dismiss);
+      toast.addEventListener('mouseenter', () => clearTimeout(timer));
+      toast.addEventListener('mouseleave', schedule);
+      toast.addEventListener('click', (e) => {
+        e.stopPropagation();
+        dismiss();
+      });
+
+      // Clearing first makes repeated messages announce again
+      this.announcer.textContent = '';
+      setTimeout(() => {
+        this.announcer.textContent = spoken;
+      }, 100);
+
+      toast.offsetHeight;
+      toast.classList.add('is-visible');
+      schedule();
+      SystemLog.record(popupData, popupData.logKey);
+    },
+
+    /**
+     * Show a System Log entry again as a modal popup
+     */
+    replay(entry) {
+      this.queue.push({ kind: entry.kind, title: entry.title, html: entry.html, image: entry.image, replay: true });
+      if (!this.isShowingPopup) {
+        this.showNextPopup();
+      }
+    },
+
     /**
      * Close the current popup and show next in queue
      */
     closeCurrentPopup() {
       if (!this.currentPopup) return;
 
+      if (this.glitch) {
+        this.glitch.stop();
+        this.glitch = null;
+      }
+
       this.currentPopup.classList.remove('is-visible');
-      hideBackdrop();
+      OverlayStack.close(this.overlay);
+      this.overlay = null;
 
       setTimeout(() => {
         if (this.currentPopup) {
@@ -352,49 +2635,614 @@
     },
 
     /**
-     * Bind event listeners
+     * Reset all triggers (for re-reading)
      */
-    bindEvents() {
-      document.addEventListener('click', (e) => {
-        if (this.isShowingPopup && this.currentPopup) {
-          this.closeCurrentPopup();
-        }
+    reset() {
+      this.timers.forEach(timer => clearTimeout(timer));
+      this.timers.clear();
+      this.progressTriggers = [];
+      this.triggers.forEach(trigger => {
+        delete trigger.dataset.popupTriggered;
       });
+      this.queue = [];
+      this.watchTriggers();
+    }
+  };
 
-      document.addEventListener('keydown', (e) => {
-        if (this.isShowingPopup && (e.key === 'Escape' || e.key === 'Enter' || e.key === ' ')) {
-          e.preventDefault();
-          this.closeCurrentPopup();
-        }
+  // ============================================================
+  // ARTICLES (Bodies for the document viewer, looked up by id)
+  // ============================================================
+  // An article id resolves, in order, to:
+  //   1. <template data-article-id="id"> anywhere on the page
+  //   2. <script type="application/json" data-article-id="id"> (see DOCUMENT TYPES)
+  //   3. data/articles/id.html
+  //   4. data/articles/id.md (a small Markdown subset)
+  //   5. data/articles/id.json (see DOCUMENT TYPES)
+  // <body data-article-base="..."> points at another folder.
+
+  // Folder holding this script, so data/ resolves from any page
+  const SCRIPT_BASE = document.currentScript
+    ? new URL('../', document.currentScript.src).href
+    : new URL('./', window.location.href).href;
+
+  /**
+   * Escape one line of text, then apply **bold**, *italic* and [links](url)
+   */
+  function renderInline(line) {
+    return escapeHtml(line)
+      .replace(/\*\*(.+?)\*\*/g, '<strong>$1</strong>')
+      .replace(/\*(.+?)\*/g, '<em>$1</em>')
+      .replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, '<a href="$2">$1</a>');
+  }
+
+  /**
+   * Convert a small Markdown subset to HTML:
+   * # headings, paragraphs, **bold**, *italic*, [links](url),
+   * - / 1. lists, > quotes and --- rules. The result is sanitised later.
+   */
+  function renderMarkdown(text) {
+    const inline = renderInline;
+
+    const blocks = String(text).replace(/\r\n/g, '\n').split(/\n{2,}/);
+
+    return blocks.map(block => {
+      const lines = block.trim().split('\n');
+      const first = lines[0] || '';
+      let match;
+
+      if (!first) return '';
+      if (/^(-{3,}|\*{3,})$/.test(first)) return '<hr>';
+      if ((match = first.match(/^(#{1,6})\s+(.*)$/))) {
+        const level = match[1].length;
+        return `<h${level}>${inline(match[2])}</h${level}>`;
+      }
+      if (lines.every(line => /^[-*]\s+/.test(line))) {
+        return `<ul>${lines.map(line => `<li>${inline(line.replace(/^[-*]\s+/, ''))}</li>`).join('')}</ul>`;
+      }
+      if (lines.every(line => /^\d+\.\s+/.test(line))) {
+        return `<ol>${lines.map(line => `<li>${inline(line.replace(/^\d+\.\s+/, ''))}</li>`).join('')}</ol>`;
+      }
+      if (lines.every(line => /^>\s?/.test(line))) {
+        return `<blockquote><p>${lines.map(line => inline(line.replace(/^>\s?/, ''))).join('<br>')}</p></blockquote>`;
+      }
+      return `<p>${lines.map(inline).join('<br>')}</p>`;
+    }).join('\n');
+  }
+
+  const Articles = {
+    cache: {},
+
+    /**
+     * Look up an article body by id
+     * @returns {Promise<string|Object>} Article HTML (not yet sanitised),
+     *   or a structured document object for DocumentTypes
+     */
+    resolve(id) {
+      if (!this.cache[id]) {
+        this.cache[id] = this.find(id);
+        // Let a failed lookup be retried next time
+        this.cache[id].catch(() => delete this.cache[id]);
+      }
+      return this.cache[id];
+    },
+
+    find(id) {
+      const inline = Array.from(document.querySelectorAll('template[data-article-id]'))
+        .find(template => template.dataset.articleId === id);
+      if (inline) return Promise.resolve(inline.innerHTML);
+
+      const data = Array.from(document.querySelectorAll('script[type="application/json"][data-article-id]'))
+        .find(script => script.dataset.articleId === id);
+      if (data) return Promise.resolve(data.textContent).then(text => this.parse(text, id));
+
+      if (!/^[\w-]+$/.test(id)) {
+        return Promise.reject(new Error(`Article id "${id}" may only use letters, numbers, - and _`));
+      }
+
+      const base = new URL(document.body.dataset.articleBase || 'data/articles/', document.body.dataset.articleBase ? window.location.href : SCRIPT_BASE);
+      const fetchText = (file) => fetch(new URL(file, base)).then(response => {
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        return response.text();
       });
+
+      return fetchText(`${id}.html`)
+        .catch(() => fetchText(`${id}.md`).then(renderMarkdown))
+        .catch(() => fetchText(`${id}.json`).then(text => this.parse(text, id), () => {
+          throw new Error(`No article found with id "${id}"`);
+        }));
+    },
+
+    parse(json, id) {
+      try {
+        return JSON.parse(json);
+      } catch (error) {
+        throw new Error(`Article "${id}" is not valid JSON: ${error.message}`);
+      }
+    }
+  };
+
+  // ============================================================
+  // DOCUMENT TYPES (In-world paperwork for the document viewer)
+  // ============================================================
+  // Structured documents are plain JSON objects with a "type":
+  // newspaper, memo, dossier or report. The viewer lays them out,
+  // so chapters write the content and never the styling.
+  // Text fields accept **bold**, *italic* and [[redacted]] spans.
+
+  /**
+   * Render one line of document text
+   * [[words]] become a bar that never unlocks (the words are dropped);
+   * [[words|2]] unlocks at clearance 2 and [[words|chapter-003]] once
+   * that chapter is read (see REDACTIONS).
+   */
+  function renderDocumentText(text) {
+    return String(text === undefined || text === null ? '' : text)
+      .split(/\[\[(.+?)\]\]/)
+      .map((part, i) => {
+        if (i % 2 === 0) return renderInline(part);
+        const [words, unlock] = part.split('|').map(value => value.trim());
+        if (!unlock) return `<span class="redaction">${escapeHtml(Redactions.mask(words))}</span>`;
+        const condition = /^\d+$/.test(unlock) ? `data-clearance="${unlock}"` : `data-unlock-after="${escapeHtml(unlock)}"`;
+        return `<span class="redaction" data-redacted="${escapeHtml(words)}" ${condition}></span>`;
+      })
+      .join('');
+  }
+
+  /**
+   * Render paragraphs from a string or an array of strings
+   */
+  function renderDocumentBody(body) {
+    const paragraphs = Array.isArray(body) ? body : (body ? [body] : []);
+    return paragraphs.map(text => `<p>${renderDocumentText(text)}</p>`).join('');
+  }
+
+  /**
+   * Render label / value pairs as a definition list
+   * @param {Array|Object} fields - [{ label, value }] or { label: value }
+   */
+  function renderDocumentFields(fields, className) {
+    const entries = Array.isArray(fields)
+      ? fields.map(field => [field.label, field.value])
+      : Object.entries(fields || {});
+    if (!entries.length) return '';
+
+    return `
+      <dl class="${className}">
+        ${entries.map(([label, value]) => `<dt>${escapeHtml(label)}</dt><dd>${renderDocumentText(value)}</dd>`).join('')}
+      </dl>
+    `;
+  }
+
+  const DocumentTypes = {
+    types: {},
+
+    /**
+     * Register a structured document type
+     * @param {string} name - Used as "type" in the document JSON
+     * @param {Object} definition
+     *   icon: Shown before the viewer title
+     *   render(doc): Return the document's HTML (sanitised before display)
+     */
+    register(name, definition) {
+      this.types[name] = Object.assign({ icon: '📄' }, definition);
     },
 
     /**
-     * Reset all triggers (for re-reading)
+     * Check whether a type has been registered
      */
-    reset() {
-      this.triggers.forEach(trigger => {
-        delete trigger.dataset.popupTriggered;
-        this.observer.observe(trigger);
-      });
-      this.queue = [];
+    has(name) {
+      return Object.prototype.hasOwnProperty.call(this.types, name);
+    },
+
+    /**
+     * Render a structured document
+     * @returns {string} Sanitised HTML wrapped in .document-<type>
+     */
+    render(doc) {
+      const type = this.types[doc.type];
+      if (!type) {
+        throw new Error(`Unknown document type "${doc.type}"`);
+      }
+      return `<div class="document-sheet document-${escapeHtml(doc.type)}">${renderHtml(type.render(doc))}</div>`;
+    },
+
+    icon(name) {
+      return this.has(name) ? this.types[name].icon : '📄';
     }
   };
 
+  // Newspaper clipping: masthead, headline, byline and columns
+  DocumentTypes.register('newspaper', {
+    icon: '📰',
+    render: (doc) => `
+      <header class="document-newspaper-masthead">
+        <div class="document-newspaper-name">${escapeHtml(doc.masthead || '')}</div>
+        <div class="document-newspaper-dateline">
+          ${[doc.date, doc.section].filter(Boolean).map(part => `<span>${escapeHtml(part)}</span>`).join('')}
+        </div>
+      </header>
+      <h1 class="document-newspaper-headline">${renderDocumentText(doc.headline)}</h1>
+      ${doc.subheadline ? `<p class="document-newspaper-subheadline">${renderDocumentText(doc.subheadline)}</p>` : ''}
+      ${doc.byline ? `<p class="document-newspaper-byline">${renderDocumentText(doc.byline)}</p>` : ''}
+      ${doc.image ? `
+        <figure class="document-newspaper-photo">
+          <img src="${escapeHtml(safeUrl(doc.image.src))}" alt="${escapeHtml(doc.image.alt || doc.image.caption || '')}">
+          ${doc.image.caption ? `<figcaption>${renderDocumentText(doc.image.caption)}</figcaption>` : ''}
+        </figure>
+      ` : ''}
+      <div class="document-newspaper-columns">${renderDocumentBody(doc.body)}</div>
+    `
+  });
+
+  // Official memo: letterhead, routing block, body, signature and stamps
+  DocumentTypes.register('memo', {
+    icon: '📋',
+    render: (doc) => `
+      <header class="document-memo-letterhead">
+        <div class="document-memo-org">${escapeHtml(doc.letterhead || '')}</div>
+        ${doc.department ? `<div class="document-memo-department">${escapeHtml(doc.department)}</div>` : ''}
+      </header>
+      ${doc.classification ? `<div class="document-classification">${escapeHtml(doc.classification)}</div>` : ''}
+      ${renderDocumentFields([
+        { label: 'Ref', value: doc.reference },
+        { label: 'Date', value: doc.date },
+        { label: 'To', value: doc.to },
+        { label: 'From', value: doc.from },
+        { label: 'Cc', value: doc.cc },
+        { label: 'Subject', value: doc.subject }
+      ].filter(field => field.value), 'document-memo-routing')}
+      <div class="document-memo-body">${renderDocumentBody(doc.body)}</div>
+      ${doc.signature ? `
+        <div class="document-memo-signature">
+          <div class="document-memo-signature-name">${escapeHtml(doc.signature.name || '')}</div>
+          ${doc.signature.title ? `<div>${escapeHtml(doc.signature.title)}</div>` : ''}
+        </div>
+      ` : ''}
+      ${(doc.stamps || []).map((stamp, i) => `
+        <div class="document-stamp document-stamp--${i % 3}">${escapeHtml(stamp)}</div>
+      `).join('')}
+    `
+  });
+
+  // Hunter dossier: photo, rank badge, record fields, stat meters and notes
+  DocumentTypes.register('dossier', {
+    icon: '🗂️',
+    render: (doc) => {
+      const statMax = doc.statMax || 100;
+      const stats = Array.isArray(doc.stats)
+        ? doc.stats.map(stat => [stat.label, stat.value])
+        : Object.entries(doc.stats || {});
+
+      return `
+        ${doc.classification ? `<div class="document-classification">${escapeHtml(doc.classification)}</div>` : ''}
+        <header class="document-dossier-header">
+          ${doc.photo ? `<img class="document-dossier-photo" src="${escapeHtml(safeUrl(doc.photo))}" alt="${escapeHtml(doc.name || '')}">` : '<div class="document-dossier-photo" aria-hidden="true"></div>'}
+          <div class="document-dossier-identity">
+            <div class="document-dossier-label">Hunter Dossier</div>
+            <h1 class="document-dossier-name">${renderDocumentText(doc.name)}</h1>
+            ${doc.alias ? `<div class="document-dossier-alias">${renderDocumentText(doc.alias)}</div>` : ''}
+            ${doc.status ? `<div class="document-dossier-status">${renderDocumentText(doc.status)}</div>` : ''}
+          </div>
+          ${doc.rank ? `
+            <div class="document-dossier-rank">
+              <span class="document-dossier-rank-label">Rank</span>
+              <span class="document-dossier-rank-value">${renderDocumentText(doc.rank)}</span>
+            </div>
+          ` : ''}
+        </header>
+        ${renderDocumentFields(doc.fields, 'document-dossier-fields')}
+        ${stats.length ? `
+          <section class="document-dossier-stats">
+            <h2>Assessment</h2>
+            ${stats.map(([label, value]) => `
+              <div class="document-dossier-stat">
+                <span class="document-dossier-stat-label">${escapeHtml(label)}</span>
+                ${typeof value === 'number' ? `
+                  <span class="document-dossier-meter"><span style="width: ${Math.max(0, Math.min(100, value / statMax * 100))}%"></span></span>
+                  <span class="document-dossier-stat-value">${value}</span>
+                ` : `<span class="document-dossier-stat-value">${renderDocumentText(value)}</span>`}
+              </div>
+            `).join('')}
+          </section>
+        ` : ''}
+        ${doc.notes ? `
+          <section class="document-dossier-notes">
+            <h2>Notes</h2>
+            ${renderDocumentBody(doc.notes)}
+          </section>
+        ` : ''}
+      `;
+    }
+  });
+
+  // Redacted report: classification banners, numbered sections, black bars
+  DocumentTypes.register('report', {
+    icon: '📁',
+    render: (doc) => {
+      const classification = escapeHtml(doc.classification || 'Classified');
+      return `
+        <div class="document-classification">${classification}</div>
+        <header class="document-report-header">
+          ${doc.agency ? `<div class="document-report-agency">${escapeHtml(doc.agency)}</div>` : ''}
+          <h1 class="document-report-title">${renderDocumentText(doc.title)}</h1>
+          ${renderDocumentFields([
+            { label: 'File', value: doc.reference },
+            { label: 'Date', value: doc.date },
+            { label: 'Prepared by', value: doc.author }
+          ].filter(field => field.value), 'document-report-meta')}
+        </header>
+        ${doc.summary ? `<div class="document-report-summary">${renderDocumentBody(doc.summary)}</div>` : ''}
+        ${(doc.sections || []).map((section, i) => `
+          <section class="document-report-section">
+            <h2>${i + 1}. ${renderDocumentText(section.heading)}</h2>
+            ${renderDocumentBody(section.body)}
+          </section>
+        `).join('')}
+        <div class="document-classification">${classification}</div>
+      `;
+    }
+  });
+
+  // ============================================================
+  // ZOOM & PAN (Images in the document viewer and gallery)
+  // ============================================================
+  // Mouse wheel or pinch zooms around the pointer, dragging pans a
+  // zoomed image, and a double click / double tap switches between
+  // fit-to-screen and the image's full resolution.
+
+  const ZOOM_MAX = 4;
+  const ZOOM_STEP = 1.25;
+  const DOUBLE_TAP_MS = 300;
+
+  /**
+   * Make an image zoomable inside its stage element
+   * @param {Element} stage - Element that receives the gestures
+   * @param {Function} getImage - Returns the element to zoom (usually the <img> shown)
+   * @param {Object} options
+   *   onChange(zoomed): Called as the image zooms in or back out to fit
+   *   onSwipe(direction): A horizontal swipe ('left' / 'right') while not zoomed
+   * @returns {Object} Controller: zoomIn(), zoomOut(), toggle(), reset(), isZoomed(), destroy()
+   */
+  function createZoomPan(stage, getImage, options = {}) {
+    let scale = 1;
+    let x = 0;
+    let y = 0;
+    const pointers = new Map();
+    let gesture = null;
+    let lastTap = null;
+
+    const image = () => getImage();
+
+    // Scale at which one image pixel is one screen pixel
+    const fullScale = () => {
+      const target = image();
+      const img = target && target.tagName !== 'IMG' ? target.querySelector('img') : target;
+      if (!img || !img.naturalWidth || !img.offsetWidth) return 2;
+      return Math.max(img.naturalWidth / img.offsetWidth, 1.5);
+    };
+
+    const maxScale = () => Math.max(ZOOM_MAX, fullScale());
+
+    const apply = (animate) => {
+      const img = image();
+      if (!img) return;
+
+      // Keep the image covering its own box so it can't be lost off screen
+      const maxX = (img.offsetWidth * (scale - 1)) / 2;
+      const maxY = (img.offsetHeight * (scale - 1)) / 2;
+      x = Math.min(maxX, Math.max(-maxX, x));
+      y = Math.min(maxY, Math.max(-maxY, y));
+
+      img.style.transition = animate && !prefersReducedMotion() ? 'transform 0.2s ease' : 'none';
+      img.style.transform = scale === 1 ? '' : `translate(${x}px, ${y}px) scale(${scale})`;
+      stage.classList.toggle('is-zoomed', scale > 1);
+      if (options.onChange) options.onChange(scale > 1);
+    };
+
+    /**
+     * Zoom to a scale, keeping the point under (clientX, clientY) still
+     */
+    const zoomTo = (target, clientX, clientY, animate = true) => {
+      const img = image();
+      if (!img) return;
+
+      const next = Math.min(maxScale(), Math.max(1, target));
+      const rect = img.getBoundingClientRect();
+      const dx = clientX === undefined ? 0 : clientX - (rect.left + rect.width / 2);
+      const dy = clientY === undefined ? 0 : clientY - (rect.top + rect.height / 2);
+
+      x += dx - (dx * next) / scale;
+      y += dy - (dy * next) / scale;
+      scale = next;
+      if (scale === 1) {
+        x = 0;
+        y = 0;
+      }
+      apply(animate);
+    };
+
+    const toggleAt = (clientX, clientY) => {
+      if (scale > 1) {
+        zoomTo(1);
+      } else {
+        zoomTo(fullScale(), clientX, clientY);
+      }
+    };
+
+    const handleWheel = (e) => {
+      if (!image()) return;
+      e.preventDefault();
+      zoomTo(scale * Math.exp(-e.deltaY * 0.002), e.clientX, e.clientY, false);
+    };
+
+    // Only once it's a drag or pinch: capturing on pointerdown would move
+    // a plain tap's click to the stage, which closes the gallery
+    const capturePointer = (id) => {
+      try {
+        if (stage.setPointerCapture) stage.setPointerCapture(id);
+      } catch (e) {
+        // The pointer is already gone
+      }
+    };
+
+    const handlePointerDown = (e) => {
+      if (!image() || e.target.closest('button')) return;
+      pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+
+      if (pointers.size === 2) {
+        const [a, b] = Array.from(pointers.values());
+        pointers.forEach((point, id) => capturePointer(id));
+        gesture = { type: 'pinch', distance: Math.hypot(a.x - b.x, a.y - b.y), scale };
+      } else if (pointers.size === 1) {
+        gesture = { type: 'drag', startX: e.clientX, startY: e.clientY, x, y, zoomed: scale > 1, moved: false };
+      }
+    };
+
+    const handlePointerMove = (e) => {
+      if (!pointers.has(e.pointerId) || !gesture) return;
+      pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+
+      if (gesture.type === 'pinch' && pointers.size === 2) {
+        const [a, b] = Array.from(pointers.values());
+        const distance = Math.hypot(a.x - b.x, a.y - b.y);
+        zoomTo(gesture.scale * (distance / gesture.distance), (a.x + b.x) / 2, (a.y + b.y) / 2, false);
+      } else if (gesture.type === 'drag') {
+        const dx = e.clientX - gesture.startX;
+        const dy = e.clientY - gesture.startY;
+        if (!gesture.moved && (Math.abs(dx) > 5 || Math.abs(dy) > 5)) {
+          gesture.moved = true;
+          capturePointer(e.pointerId);
+        }
+        if (scale > 1) {
+          x = gesture.x + dx;
+          y = gesture.y + dy;
+          stage.classList.add('is-panning');
+          apply(false);
+        }
+      }
+    };
+
+    const handlePointerUp = (e) => {
+      if (!pointers.has(e.pointerId)) return;
+      pointers.delete(e.pointerId);
+      stage.classList.remove('is-panning');
+
+      const ended = gesture;
+      gesture = pointers.size === 0 ? null : { type: 'pinch-end' };
+      if (!ended || ended.type !== 'drag' || e.type === 'pointercancel') return;
+
+      if (ended.moved) {
+        // A drag that ends over the backdrop must not count as a click there
+        const swallow = (click) => click.stopPropagation();
+        window.addEventListener('click', swallow, { capture: true, once: true });
+        setTimeout(() => window.removeEventListener('click', swallow, true), 0);
+
+        const dx = e.clientX - ended.startX;
+        const dy = e.clientY - ended.startY;
+        if (!ended.zoomed && options.onSwipe && Math.abs(dx) > 60 && Math.abs(dx) > Math.abs(dy)) {
+          options.onSwipe(dx < 0 ? 'left' : 'right');
+        }
+        return;
+      }
+
+      // Two quick taps in the same spot toggle fit / full resolution
+      const now = Date.now();
+      if (lastTap && now - lastTap.time < DOUBLE_TAP_MS && Math.hypot(e.clientX - lastTap.x, e.clientY - lastTap.y) < 30) {
+        lastTap = null;
+        toggleAt(e.clientX, e.clientY);
+      } else {
+        lastTap = { time: now, x: e.clientX, y: e.clientY };
+      }
+    };
+
+    stage.addEventListener('wheel', handleWheel, { passive: false });
+    stage.addEventListener('pointerdown', handlePointerDown);
+    stage.addEventListener('pointermove', handlePointerMove);
+    stage.addEventListener('pointerup', handlePointerUp);
+    stage.addEventListener('pointercancel', handlePointerUp);
+    stage.classList.add('is-zoomable');
+
+    return {
+      zoomIn: () => zoomTo(scale * ZOOM_STEP),
+      zoomOut: () => zoomTo(scale / ZOOM_STEP),
+      toggle: () => toggleAt(),
+      isZoomed: () => scale > 1,
+
+      /**
+       * Back to fit-to-screen, e.g. when the page changes
+       */
+      reset() {
+        scale = 1;
+        x = 0;
+        y = 0;
+        pointers.clear();
+        gesture = null;
+        lastTap = null;
+        stage.classList.remove('is-panning');
+        apply(false);
+      },
+
+      /**
+       * Route +, -, 0 keys; returns whether the key was used
+       */
+      handleKey(e) {
+        if (!image()) return false;
+        if (e.key === '+' || e.key === '=') {
+          this.zoomIn();
+        } else if (e.key === '-' || e.key === '_') {
+          this.zoomOut();
+        } else if (e.key === '0') {
+          zoomTo(1);
+        } else {
+          return false;
+        }
+        e.preventDefault();
+        return true;
+      },
+
+      destroy() {
+        stage.removeEventListener('wheel', handleWheel);
+        stage.removeEventListener('pointerdown', handlePointerDown);
+        stage.removeEventListener('pointermove', handlePointerMove);
+        stage.removeEventListener('pointerup', handlePointerUp);
+        stage.removeEventListener('pointercancel', handlePointerUp);
+      }
+    };
+  }
+
+  /**
+   * Header button switching between fit-to-screen and full resolution
+   */
+  function createZoomButton(className) {
+    return `<button type="button" class="zoom-toggle ${className}" aria-pressed="false" aria-label="Show full resolution">1:1</button>`;
+  }
+
+  /**
+   * Keep a zoom button's label in step with the image
+   */
+  function updateZoomButton(button, zoomed) {
+    if (!button) return;
+    button.setAttribute('aria-pressed', String(zoomed));
+    button.setAttribute('aria-label', zoomed ? 'Fit to screen' : 'Show full resolution');
+    button.textContent = zoomed ? 'Fit' : '1:1';
+  }
+
   // ============================================================
   // SCENARIO C: DOCUMENT VIEWER
   // ============================================================
 
   const DocumentViewer = {
     container: null,
+    overlay: null,
+    zoom: null,
     isOpen: false,
 
     /**
      * Initialize document viewer by binding to attachment links
      * Attachment links should have:
      *   class="attachment-link" or data-document-viewer="true"
-     *   data-type="pdf|image|article"
-     *   data-src="/path/to/file" OR data-content="<html>..."
+     *   data-type="pdf|image|article" or a document type (newspaper, memo, ...)
+     *   data-src="/path/to/file" OR data-article-id="article-id" (see ARTICLES)
      *   data-title="Document Title"
      */
     init() {
@@ -402,37 +3250,72 @@
         const link = e.target.closest('[data-document-viewer], .attachment-link');
         if (link) {
           e.preventDefault();
-          this.open({
-            type: link.dataset.type || 'image',
-            src: link.dataset.src || link.href,
-            content: link.dataset.content,
-            title: link.dataset.title || link.textContent.trim()
-          });
+          this.open(this.optionsFor(link));
         }
       });
 
-      // Keyboard support
-      document.addEventListener('keydown', (e) => {
-        if (this.isOpen && e.key === 'Escape') {
-          this.close();
-        }
-      });
+      // #doc=<id> opens the attachment with that data-doc-id or data-article-id
+      UrlState.register('doc', {
+        open: (params) => this.openById(params.get('doc')),
+        close: () => this.close()
+      });
+    },
+
+    /**
+     * Read viewer options from an attachment link's data attributes
+     */
+    optionsFor(link) {
+      return {
+        id: link.dataset.docId,
+        type: link.dataset.type || (link.dataset.articleId ? 'article' : 'image'),
+        src: link.dataset.src || link.href,
+        content: link.dataset.content,
+        articleId: link.dataset.articleId,
+        title: link.dataset.title || link.textContent.trim()
+      };
+    },
+
+    /**
+     * Open a document by the id used in links (#doc=<id>)
+     * Falls back to an article of that id when no attachment on the page names it.
+     */
+    openById(id) {
+      const link = Array.from(document.querySelectorAll('[data-document-viewer], .attachment-link'))
+        .find(el => (el.dataset.docId || el.dataset.articleId) === id);
+      this.open(link ? this.optionsFor(link) : { type: 'article', articleId: id, title: id });
     },
 
     /**
      * Open the document viewer
      * @param {Object} options - Document options
-     *   type: 'pdf', 'image', or 'article'
+     *   type: 'pdf', 'image', 'article', or a document type (see DOCUMENT TYPES)
      *   src: URL to the document (for pdf/image)
      *   content: HTML content (for article)
+     *   data: Structured document fields (for document types)
+     *   articleId: Look the article body up instead (for article and document types)
      *   title: Display title
+     *   id: Name used in the URL (#doc=<id>) - defaults to articleId
      */
     open(options) {
+      if (this.isOpen) this.removeContainer();
       this.createContainer(options);
-      showBackdrop();
-      
-      // Click on backdrop closes viewer
-      getOrCreateBackdrop().addEventListener('click', () => this.close(), { once: true });
+
+      const id = options.id || options.articleId;
+      if (id) {
+        UrlState.open('doc', { doc: id });
+      } else {
+        // Going back here would pop the entry under the viewer being opened;
+        // an unnamed document takes over the previous one's entry instead
+        UrlState.update({ doc: null });
+      }
+
+      // Clicks outside the viewer (on the backdrop) close it
+      this.overlay = OverlayStack.open({
+        elements: [this.container],
+        onClick: () => this.close(),
+        onEscape: () => this.close(),
+        onKeydown: (e) => this.zoom && this.zoom.handleKey(e)
+      });
       
       this.container.offsetHeight;
       this.container.classList.add('is-visible');
@@ -453,6 +3336,8 @@
       this.container.setAttribute('role', 'dialog');
       this.container.setAttribute('aria-modal', 'true');
 
+      const title = escapeHtml(options.title || '');
+      const src = escapeHtml(safeUrl(options.src));
       let bodyContent = '';
       let icon = '';
 
@@ -460,32 +3345,42 @@
         case 'pdf':
           // For actual PDFs, embed in iframe
           icon = '📄';
-          bodyContent = `<iframe src="${options.src}" title="${options.title}"></iframe>`;
+          bodyContent = `<iframe src="${src}" title="${title}"></iframe>`;
           break;
         
         case 'image':
           // For images (including fake PDFs that are actually images)
           icon = '🖼️';
-          bodyContent = `<img src="${options.src}" alt="${options.title}" />`;
+          bodyContent = `<img src="${src}" alt="${title}" />`;
           break;
         
         case 'article':
-          // For HTML article content
+          // For HTML article content - looked up by id if not given
           icon = '📰';
-          bodyContent = `<div class="document-viewer-article">${options.content}</div>`;
+          bodyContent = `<div class="document-viewer-article">${options.content !== undefined ? renderHtml(options.content) : '<div class="spinner" role="status" aria-label="Loading"></div>'}</div>`;
           break;
         
         default:
+          if (DocumentTypes.has(options.type)) {
+            // Structured in-world documents - given as data or looked up by id
+            icon = DocumentTypes.icon(options.type);
+            bodyContent = '<div class="document-viewer-article"><div class="spinner" role="status" aria-label="Loading"></div></div>';
+            break;
+          }
           // Fallback to image
-          bodyContent = `<img src="${options.src}" alt="${options.title}" />`;
+          bodyContent = `<img src="${src}" alt="${title}" />`;
       }
 
+      const isArticle = options.type === 'article' || DocumentTypes.has(options.type);
+      const isImage = options.type !== 'pdf' && !isArticle;
+
       this.container.innerHTML = `
         <div class="document-viewer-header">
           <span class="document-viewer-title">
-            <span>${icon}</span>
-            ${options.title}
+            <span class="document-viewer-icon">${icon}</span>
+            ${title}
           </span>
+          ${isImage ? createZoomButton('document-viewer-zoom') : ''}
           <button class="document-viewer-close" aria-label="Close">
             ${createCloseIcon()}
           </button>
@@ -505,7 +3400,62 @@
         e.stopPropagation();
       });
 
+      if (isImage) {
+        const body = this.container.querySelector('.document-viewer-body');
+        const button = this.container.querySelector('.document-viewer-zoom');
+        this.zoom = createZoomPan(body, () => body.querySelector('img'), {
+          onChange: zoomed => updateZoomButton(button, zoomed)
+        });
+        button.addEventListener('click', () => this.zoom.toggle());
+      }
+
       document.body.appendChild(this.container);
+      Redactions.apply(this.container);
+
+      if (isArticle && (options.type !== 'article' || options.content === undefined)) {
+        this.loadArticle(options);
+      }
+    },
+
+    /**
+     * Fill the open viewer with an article from the registry
+     * Structured documents (from options.data or the registry) get their
+     * type's layout. A missing article shows an error instead of a blank page.
+     */
+    loadArticle(options) {
+      const container = this.container;
+      const article = container.querySelector('.document-viewer-article');
+      const id = options.articleId;
+      let lookup;
+
+      if (options.data) {
+        lookup = Promise.resolve(Object.assign({ type: options.type }, options.data));
+      } else {
+        lookup = id ? Articles.resolve(id) : Promise.reject(new Error('No data-article-id given'));
+      }
+
+      lookup.then(body => {
+        if (typeof body === 'string') return renderHtml(body);
+        // A link's data-type picks the layout when the JSON leaves it out
+        const doc = body.type ? body : Object.assign({ type: options.type }, body);
+        container.querySelector('.document-viewer-icon').textContent = DocumentTypes.icon(doc.type);
+        return DocumentTypes.render(doc);
+      }).then(html => {
+        article.innerHTML = html;
+        Redactions.apply(article);
+      }, error => {
+        console.warn(`DocumentViewer: ${error.message}`);
+        article.innerHTML = `
+          <div class="document-viewer-error" role="alert">
+            <strong>This document could not be opened.</strong>
+            <p>${escapeHtml(error.message)}</p>
+          </div>
+        `;
+      }).then(() => {
+        // Viewer may have been closed or replaced while loading
+        if (this.container !== container) return;
+        OverlayStack.focus(container.querySelector('.document-viewer-close'));
+      });
     },
 
     /**
@@ -513,17 +3463,27 @@
      */
     close() {
       if (!this.container) return;
+      this.removeContainer();
+      UrlState.close('doc');
+    },
 
-      this.container.classList.remove('is-visible');
-      hideBackdrop();
+    /**
+     * Take the viewer off screen, leaving the URL alone
+     */
+    removeContainer() {
+      if (this.zoom) {
+        this.zoom.destroy();
+        this.zoom = null;
+      }
+
+      const container = this.container;
+      container.classList.remove('is-visible');
+      OverlayStack.close(this.overlay);
+      this.overlay = null;
+      this.container = null;
       this.isOpen = false;
 
-      setTimeout(() => {
-        if (this.container) {
-          this.container.remove();
-          this.container = null;
-        }
-      }, 300);
+      setTimeout(() => container.remove(), 300);
     }
   };
 
@@ -531,24 +3491,189 @@
   // IMAGE GALLERY VIEWER (For multi-page documents like pamphlets)
   // ============================================================
 
+  // Booklets show facing pages side by side on screens this wide
+  const SPREAD_QUERY = '(min-width: 1024px) and (orientation: landscape)';
+  const PRELOAD_WAIT = 400; // ms to wait for a page to decode before showing it anyway
+  const GALLERY_TEXT_KEY = 'story-gallery-text'; // Reader keeps page text open between galleries
+
   const ImageGallery = {
     container: null,
+    overlay: null,
     isOpen: false,
     currentPage: 0,
     images: [],
+    pages: [],
     title: '',
+    id: null,
+    spread: false,
+    showText: false,
+    zoom: null,
+    preloaded: {},
+    manifests: {},
+    renderToken: 0,
+    spreadQuery: null,
+
+    /**
+     * Open galleries declared in markup, and let #gallery=<id>&page=<n>
+     * reopen one. A trigger names its pages in one of three ways:
+     *   data-gallery-src="gallery.json"  - manifest (see loadManifest)
+     *   data-gallery-pattern="page-{n}.png" data-gallery-pages="9"
+     *   data-gallery-images="cover.png, page-2.png"
+     * plus data-gallery="<id>", data-title and data-gallery-spread.
+     * Page text comes from <template data-gallery-transcript="<id>">
+     * holding one [data-page="n"] element per page.
+     */
+    init() {
+      document.addEventListener('click', (e) => {
+        const trigger = e.target.closest('[data-gallery]');
+        if (!trigger || !this.isDeclared(trigger)) return;
+        e.preventDefault();
+        this.openTrigger(trigger).catch(() => {
+          // Already reported by optionsFor()
+        });
+      });
+
+      UrlState.register('gallery', {
+        params: ['page'],
+        open: (params) => {
+          const id = params.get('gallery');
+          const trigger = Array.from(document.querySelectorAll('[data-gallery]'))
+            .find(el => el.dataset.gallery === id);
+          if (!trigger) {
+            console.warn(`ImageGallery: No [data-gallery="${id}"] on this page`);
+            return;
+          }
+
+          const page = (parseInt(params.get('page'), 10) || 1) - 1;
+          const opened = this.isDeclared(trigger) ? this.openTrigger(trigger) : Promise.resolve(trigger.click());
+          opened.then(() => {
+            if (this.isOpen && this.id === id) this.goToPage(page);
+          }, () => {});
+        },
+        close: () => this.close()
+      });
+    },
+
+    /**
+     * Whether a trigger lists its own pages (rather than opening from script)
+     */
+    isDeclared(trigger) {
+      const data = trigger.dataset;
+      return Boolean(data.gallerySrc || data.galleryPattern || data.galleryImages);
+    },
+
+    /**
+     * Open the gallery a [data-gallery] trigger describes
+     * @returns {Promise} Resolves once the gallery is open
+     */
+    openTrigger(trigger) {
+      return this.optionsFor(trigger).then(options => this.open(options));
+    },
+
+    /**
+     * Build gallery options from a trigger's data attributes
+     * @returns {Promise<Object>} Options for open()
+     */
+    optionsFor(trigger) {
+      const data = trigger.dataset;
+      const id = data.gallery && data.gallery !== 'true' ? data.gallery : null;
+      const options = {
+        id,
+        title: data.title || trigger.textContent.trim(),
+        spread: data.gallerySpread !== undefined && data.gallerySpread !== 'false'
+      };
+
+      let pages;
+      if (data.gallerySrc) {
+        pages = this.loadManifest(data.gallerySrc).then(manifest => {
+          if (!data.title && manifest.title) options.title = manifest.title;
+          if (data.gallerySpread === undefined) options.spread = !!manifest.spread;
+          return manifest.pages;
+        });
+      } else if (data.galleryPattern) {
+        const count = parseInt(data.galleryPages, 10) || 0;
+        pages = Promise.resolve(Array.from({ length: count }, (_, i) => data.galleryPattern.replace(/\{n\}/g, i + 1)));
+      } else {
+        pages = Promise.resolve((data.galleryImages || '').split(',').map(src => src.trim()).filter(Boolean));
+      }
+
+      return pages.then(list => {
+        options.pages = this.withTranscripts(list, id);
+        return options;
+      }, error => {
+        console.warn(`ImageGallery: ${error.message}`);
+        throw error;
+      });
+    },
+
+    /**
+     * Fetch a gallery manifest (cached). The JSON looks like:
+     *   { "title": "...", "spread": true,
+     *     "pages": [{ "src": "page-1.png", "alt": "...", "caption": "...", "transcript": "<p>...</p>" }] }
+     * Pages may also be plain image paths. Paths are relative to the manifest.
+     */
+    loadManifest(url) {
+      const src = new URL(url, window.location.href).href;
+      if (!this.manifests[src]) {
+        this.manifests[src] = fetch(src).then(response => {
+          if (!response.ok) throw new Error(`Gallery manifest ${url} could not be loaded (HTTP ${response.status})`);
+          return response.json();
+        }).then(manifest => Object.assign({}, manifest, {
+          pages: (manifest.pages || []).map(page => {
+            const entry = typeof page === 'string' ? { src: page } : Object.assign({}, page);
+            entry.src = new URL(entry.src, src).href;
+            return entry;
+          })
+        }));
+        this.manifests[src].catch(() => delete this.manifests[src]);
+      }
+      return this.manifests[src];
+    },
+
+    /**
+     * Fill in page text (and missing captions) from the gallery's transcript template
+     */
+    withTranscripts(list, id) {
+      const template = id && Array.from(document.querySelectorAll('template[data-gallery-transcript]'))
+        .find(el => el.dataset.galleryTranscript === id);
+      const sections = {};
+      if (template) {
+        template.content.querySelectorAll('[data-page]').forEach(section => {
+          sections[section.dataset.page] = section;
+        });
+      }
+
+      return list.map((page, i) => {
+        const entry = typeof page === 'string' ? { src: page } : Object.assign({}, page);
+        const section = sections[i + 1];
+        if (section) {
+          if (entry.transcript === undefined) entry.transcript = section.innerHTML;
+          if (!entry.caption && section.dataset.caption) entry.caption = section.dataset.caption;
+        }
+        return entry;
+      });
+    },
 
     /**
      * Open image gallery
-     * @param {Object} options - { images: [], title: string }
+     * @param {Object} options - { images: [], title: string, id: string, spread: boolean }
      * images array should be paths like ['path/to/page1.png', 'path/to/page2.png', ...]
+     * or pass pages: [{ src, alt, caption, transcript }] for described pages
+     * id names the gallery in the URL (#gallery=<id>&page=<n>)
+     * spread shows facing pages side by side on wide screens, after a
+     * single cover page - for booklets like the pamphlet
      */
     open(options) {
       if (this.isOpen) return;
 
-      this.images = options.images || [];
+      this.pages = (options.pages || options.images || []).map(page => (typeof page === 'string' ? { src: page } : page));
+      this.images = this.pages.map(page => page.src);
       this.title = options.title || 'Gallery';
+      this.id = options.id || null;
+      this.spread = !!options.spread;
+      this.showText = readStorage(GALLERY_TEXT_KEY) === true;
       this.currentPage = 0;
+      this.preloaded = {};
 
       if (this.images.length === 0) {
         console.warn('ImageGallery: No images provided');
@@ -557,9 +3682,27 @@
 
       this.createGallery();
       this.isOpen = true;
+      if (this.id) UrlState.open('gallery', { gallery: this.id, page: 1 });
+
+      this.overlay = OverlayStack.open({
+        elements: [this.container],
+        onEscape: () => this.close(),
+        onKeydown: (e) => {
+          if (this.zoom.handleKey(e)) return;
+          if (e.key === 'ArrowLeft') {
+            this.prevPage();
+          } else if (e.key === 'ArrowRight') {
+            this.nextPage();
+          }
+        }
+      });
 
-      // Prevent body scroll
-      document.body.style.overflow = 'hidden';
+      // Rotating a tablet or resizing the window can switch spreads on or off
+      if (this.spread) {
+        this.spreadQuery = window.matchMedia(SPREAD_QUERY);
+        this._handleSpreadChange = () => this.goToPage(this.currentPage);
+        this.spreadQuery.addEventListener('change', this._handleSpreadChange);
+      }
 
       // Show gallery
       requestAnimationFrame(() => {
@@ -573,33 +3716,68 @@
         this.container.remove();
       }
 
+      const hasText = this.pages.some(page => page.transcript);
+
       this.container = document.createElement('div');
       this.container.className = 'image-gallery';
+      this.container.setAttribute('role', 'dialog');
+      this.container.setAttribute('aria-modal', 'true');
+      this.container.setAttribute('aria-label', this.title);
       this.container.innerHTML = `
         <div class="image-gallery-header">
-          <div class="image-gallery-title">${this.title}</div>
-          <div class="image-gallery-page">Page <span class="current-page">1</span> of ${this.images.length}</div>
+          <div class="image-gallery-title">${escapeHtml(this.title)}</div>
+          <div class="image-gallery-page"></div>
+          ${hasText ? '<button type="button" class="image-gallery-text-toggle" aria-pressed="false" aria-controls="image-gallery-transcript">Show text</button>' : ''}
+          ${createZoomButton('image-gallery-zoom')}
           <button class="image-gallery-close" aria-label="Close">&times;</button>
         </div>
-        <div class="image-gallery-content">
-          <button class="image-gallery-nav prev" aria-label="Previous page">&#8249;</button>
-          <img src="${this.images[0]}" alt="Page 1">
-          <button class="image-gallery-nav next" aria-label="Next page">&#8250;</button>
+        <div class="image-gallery-main">
+          <div class="image-gallery-content">
+            <button class="image-gallery-nav prev" aria-label="Previous page">&#8249;</button>
+            <div class="image-gallery-pages">${this.renderPages(this.currentView())}</div>
+            <button class="image-gallery-nav next" aria-label="Next page">&#8250;</button>
+          </div>
+          ${hasText ? '<div class="image-gallery-transcript" id="image-gallery-transcript" role="region" aria-label="Page text" tabindex="0" hidden></div>' : ''}
         </div>
-        <div class="image-gallery-footer">
-          ${this.images.map((_, i) => `<button class="image-gallery-dot ${i === 0 ? 'is-active' : ''}" data-page="${i}" aria-label="Go to page ${i + 1}"></button>`).join('')}
+        <p class="image-gallery-caption" aria-live="polite"></p>
+        <div class="image-gallery-footer" role="group" aria-label="Pages">
+          ${this.pages.map((page, i) => `
+            <button type="button" class="image-gallery-thumb" data-page="${i}" aria-label="Go to page ${i + 1}${page.caption ? `: ${escapeHtml(page.caption)}` : ''}">
+              <img src="${escapeHtml(safeUrl(page.src))}" alt="" loading="lazy">
+            </button>
+          `).join('')}
         </div>
       `;
 
       document.body.appendChild(this.container);
+
+      const stage = this.container.querySelector('.image-gallery-content');
+      const button = this.container.querySelector('.image-gallery-zoom');
+      this.zoom = createZoomPan(stage, () => stage.querySelector('.image-gallery-pages'), {
+        onChange: zoomed => updateZoomButton(button, zoomed),
+        onSwipe: direction => (direction === 'left' ? this.nextPage() : this.prevPage())
+      });
+      button.addEventListener('click', () => this.zoom.toggle());
+
       this.bindGalleryEvents();
-      this.updateNavState();
+      this.updatePageState();
+      this.preloadAround();
     },
 
     bindGalleryEvents() {
       // Close button
       this.container.querySelector('.image-gallery-close').addEventListener('click', () => this.close());
 
+      // Page text toggle
+      const textToggle = this.container.querySelector('.image-gallery-text-toggle');
+      if (textToggle) {
+        textToggle.addEventListener('click', () => {
+          this.showText = !this.showText;
+          writeStorage(GALLERY_TEXT_KEY, this.showText);
+          this.updatePageState();
+        });
+      }
+
       // Nav buttons
       this.container.querySelector('.prev').addEventListener('click', (e) => {
         e.stopPropagation();
@@ -611,33 +3789,87 @@
         this.nextPage();
       });
 
-      // Dot navigation
-      this.container.querySelectorAll('.image-gallery-dot').forEach(dot => {
-        dot.addEventListener('click', (e) => {
+      // Thumbnail navigation
+      this.container.querySelectorAll('.image-gallery-thumb').forEach(thumb => {
+        thumb.addEventListener('click', (e) => {
           e.stopPropagation();
-          this.goToPage(parseInt(dot.dataset.page));
+          this.goToPage(parseInt(thumb.dataset.page, 10));
         });
       });
 
-      // Keyboard navigation
-      this.keyHandler = (e) => {
-        if (!this.isOpen) return;
-        
-        if (e.key === 'Escape') {
+      // Click on backdrop to close - anywhere but the pages and controls
+      this.container.addEventListener('click', (e) => {
+        if (e.target === this.container || e.target.matches('.image-gallery-main, .image-gallery-content, .image-gallery-pages')) {
           this.close();
-        } else if (e.key === 'ArrowLeft') {
-          this.prevPage();
-        } else if (e.key === 'ArrowRight') {
-          this.nextPage();
         }
-      };
-      document.addEventListener('keydown', this.keyHandler);
+      });
+    },
 
-      // Click on backdrop to close
-      this.container.addEventListener('click', (e) => {
-        if (e.target === this.container || e.target.classList.contains('image-gallery-content')) {
-          // Don't close when clicking on content - only on backdrop
-        }
+    /**
+     * The page groups shown together: single pages, or on wide screens
+     * a cover followed by facing pairs (1 | 2-3 | 4-5 ...)
+     */
+    views() {
+      if (!this.spread || !window.matchMedia(SPREAD_QUERY).matches) {
+        return this.images.map((_, i) => [i]);
+      }
+
+      const views = [[0]];
+      for (let i = 1; i < this.images.length; i += 2) {
+        views.push(i + 1 < this.images.length ? [i, i + 1] : [i]);
+      }
+      return views;
+    },
+
+    viewIndex() {
+      return this.views().findIndex(view => view.includes(this.currentPage));
+    },
+
+    currentView() {
+      return this.views()[this.viewIndex()];
+    },
+
+    renderPages(view) {
+      return view.map(i => {
+        const page = this.pages[i];
+        const alt = page.alt || (page.caption ? `Page ${i + 1}: ${page.caption}` : `Page ${i + 1}`);
+        return `<img src="${escapeHtml(safeUrl(page.src))}" alt="${escapeHtml(alt)}">`;
+      }).join('');
+    },
+
+    /**
+     * The text of the pages in view, each under its page number and caption
+     */
+    renderTranscript(view) {
+      return view.map(i => {
+        const page = this.pages[i];
+        const heading = `Page ${i + 1}${page.caption ? ` — ${escapeHtml(page.caption)}` : ''}`;
+        const text = page.transcript ? renderHtml(page.transcript) : '<p class="image-gallery-transcript-empty">No text on this page.</p>';
+        return `<div class="image-gallery-transcript-page"><p class="image-gallery-transcript-heading">${heading}</p>${text}</div>`;
+      }).join('');
+    },
+
+    /**
+     * Start loading a page in the background
+     * @returns {Promise} Resolves once it is decoded (or has failed)
+     */
+    preload(pageIndex) {
+      if (!this.preloaded[pageIndex]) {
+        const img = new Image();
+        img.src = safeUrl(this.images[pageIndex]);
+        this.preloaded[pageIndex] = (img.decode ? img.decode() : Promise.resolve()).catch(() => {});
+      }
+      return this.preloaded[pageIndex];
+    },
+
+    /**
+     * Preload the views either side of the current one
+     */
+    preloadAround() {
+      const views = this.views();
+      const index = this.viewIndex();
+      [views[index - 1], views[index + 1]].forEach(view => {
+        if (view) view.forEach(page => this.preload(page));
       });
     },
 
@@ -645,63 +3877,287 @@
       if (pageIndex < 0 || pageIndex >= this.images.length) return;
       
       this.currentPage = pageIndex;
-      
-      // Update image
-      const img = this.container.querySelector('.image-gallery-content img');
-      img.src = this.images[this.currentPage];
-      img.alt = `Page ${this.currentPage + 1}`;
-
-      // Update page counter
-      this.container.querySelector('.current-page').textContent = this.currentPage + 1;
+      this.zoom.reset();
 
-      // Update dots
-      this.container.querySelectorAll('.image-gallery-dot').forEach((dot, i) => {
-        dot.classList.toggle('is-active', i === this.currentPage);
+      // Swap the images once decoded, so the page doesn't flash blank
+      const view = this.currentView();
+      const token = ++this.renderToken;
+      const wait = new Promise(resolve => setTimeout(resolve, PRELOAD_WAIT));
+      Promise.race([Promise.all(view.map(page => this.preload(page))), wait]).then(() => {
+        if (token !== this.renderToken || !this.container) return;
+        this.container.querySelector('.image-gallery-pages').innerHTML = this.renderPages(view);
       });
 
-      // Update nav state
-      this.updateNavState();
+      this.updatePageState();
+      this.preloadAround();
+
+      if (this.id) UrlState.update({ page: this.currentPage + 1 });
     },
 
     prevPage() {
-      if (this.currentPage > 0) {
-        this.goToPage(this.currentPage - 1);
-      }
+      const view = this.views()[this.viewIndex() - 1];
+      if (view) this.goToPage(view[0]);
     },
 
     nextPage() {
-      if (this.currentPage < this.images.length - 1) {
-        this.goToPage(this.currentPage + 1);
-      }
+      const view = this.views()[this.viewIndex() + 1];
+      if (view) this.goToPage(view[0]);
     },
 
-    updateNavState() {
-      const prevBtn = this.container.querySelector('.prev');
-      const nextBtn = this.container.querySelector('.next');
-      
-      prevBtn.disabled = this.currentPage === 0;
-      nextBtn.disabled = this.currentPage === this.images.length - 1;
+    /**
+     * Update the page counter, thumbnails and arrows for the current view
+     */
+    updatePageState() {
+      const views = this.views();
+      const index = this.viewIndex();
+      const view = views[index];
+
+      this.container.querySelector('.image-gallery-page').textContent = view.length > 1
+        ? `Pages ${view[0] + 1}-${view[1] + 1} of ${this.images.length}`
+        : `Page ${view[0] + 1} of ${this.images.length}`;
+      this.container.querySelector('.image-gallery-pages').classList.toggle('is-spread', view.length > 1);
+
+      // Caption under the page(s)
+      const captions = view.map(i => this.pages[i].caption).filter(Boolean);
+      this.container.querySelector('.image-gallery-caption').textContent = captions.join(' · ');
+
+      // Page text beside the images
+      const transcript = this.container.querySelector('.image-gallery-transcript');
+      if (transcript) {
+        const toggle = this.container.querySelector('.image-gallery-text-toggle');
+        toggle.setAttribute('aria-pressed', String(this.showText));
+        toggle.textContent = this.showText ? 'Hide text' : 'Show text';
+        transcript.hidden = !this.showText;
+        this.container.classList.toggle('is-showing-text', this.showText);
+        if (this.showText) {
+          transcript.innerHTML = this.renderTranscript(view);
+          Redactions.apply(transcript);
+          transcript.scrollTop = 0;
+        }
+      }
+
+      this.container.querySelectorAll('.image-gallery-thumb').forEach((thumb, i) => {
+        const active = view.includes(i);
+        thumb.classList.toggle('is-active', active);
+        if (i === this.currentPage) {
+          thumb.setAttribute('aria-current', 'page');
+          if (thumb.scrollIntoView) thumb.scrollIntoView({ block: 'nearest', inline: 'center' });
+        } else {
+          thumb.removeAttribute('aria-current');
+        }
+      });
+
+      this.container.querySelector('.prev').disabled = index === 0;
+      this.container.querySelector('.next').disabled = index === views.length - 1;
     },
 
     close() {
       if (!this.isOpen) return;
       
       this.isOpen = false;
-      document.body.style.overflow = '';
-      
-      // Remove keyboard handler
-      if (this.keyHandler) {
-        document.removeEventListener('keydown', this.keyHandler);
+      OverlayStack.close(this.overlay);
+      this.overlay = null;
+      this.zoom.destroy();
+      this.zoom = null;
+      this.renderToken++;
+      if (this.spreadQuery) {
+        this.spreadQuery.removeEventListener('change', this._handleSpreadChange);
+        this.spreadQuery = null;
       }
+      if (this.id) UrlState.close('gallery');
 
-      this.container.classList.remove('is-visible');
+      const container = this.container;
+      this.container = null;
+      container.classList.remove('is-visible');
 
-      setTimeout(() => {
-        if (this.container) {
-          this.container.remove();
-          this.container = null;
+      setTimeout(() => container.remove(), 300);
+    }
+  };
+
+  // ============================================================
+  // SYSTEM LOG (History of every popup the reader has seen)
+  // ============================================================
+
+  const SYSTEM_LOG_KEY = 'story-system-log';
+  const SYSTEM_LOG_LIMIT = 500; // Entries kept per chapter
+
+  const SystemLog = {
+    container: null,
+    overlay: null,
+    isOpen: false,
+
+    /**
+     * Open the panel from any [data-system-log-open] button (e.g. in the header)
+     */
+    init() {
+      document.addEventListener('click', (e) => {
+        if (e.target.closest('[data-system-log-open]')) {
+          e.preventDefault();
+          this.open();
         }
-      }, 300);
+      });
+    },
+
+    /**
+     * Saved log: [{ id, title, url, entries: [{ id, kind, title, html, image }] }]
+     * Chapters are kept in the order the reader first saw a popup in them.
+     */
+    read() {
+      const log = readStorage(SYSTEM_LOG_KEY, []);
+      return Array.isArray(log) ? log : [];
+    },
+
+    /**
+     * Record a popup as seen in the current chapter, in the order shown
+     * Each place in the chapter (sequence step, trigger) is kept once, so
+     * rereads and going back don't repeat it but repeated beats still show.
+     * @param {Object} popup - { kind, title, html, image }
+     * @param {string} [key] - Where it was shown; without one, identical
+     *   popups count as the same entry
+     */
+    record(popup, key) {
+      if (!popup.html && !popup.image) return;
+
+      // Trusted markup is stored as plain HTML (and sanitised on replay)
+      const html = popup.html && popup.html[TRUSTED_HTML] !== undefined ? popup.html[TRUSTED_HTML] : popup.html;
+      const entry = { kind: popup.kind || null, title: popup.title || null, html: html || null, image: popup.image || null };
+      entry.id = hashText(key || JSON.stringify(entry)).toString(36);
+
+      const log = this.read();
+      const chapterId = getChapterId();
+      let chapter = log.find(item => item.id === chapterId);
+      if (!chapter) {
+        chapter = { id: chapterId, title: document.title.split('|')[0].trim() || chapterId, url: window.location.pathname, entries: [] };
+        log.push(chapter);
+      }
+      if (chapter.entries.some(item => item.id === entry.id)) return;
+
+      chapter.entries.push(entry);
+      if (chapter.entries.length > SYSTEM_LOG_LIMIT) chapter.entries.shift();
+      writeStorage(SYSTEM_LOG_KEY, log);
+    },
+
+    /**
+     * Open the System Log panel
+     */
+    open() {
+      if (this.isOpen) return;
+      this.createContainer();
+
+      // Clicks outside the panel (on the backdrop) close it
+      this.overlay = OverlayStack.open({
+        elements: [this.container],
+        onClick: () => this.close(),
+        onEscape: () => this.close()
+      });
+
+      this.container.offsetHeight;
+      this.container.classList.add('is-visible');
+      this.isOpen = true;
+    },
+
+    /**
+     * Create the panel listing every chapter's popups
+     */
+    createContainer() {
+      const existing = document.getElementById('system-log');
+      if (existing) existing.remove();
+
+      const log = this.read().filter(chapter => chapter.entries.length);
+
+      this.container = document.createElement('div');
+      this.container.id = 'system-log';
+      this.container.className = 'popup system-log';
+      this.container.setAttribute('role', 'dialog');
+      this.container.setAttribute('aria-modal', 'true');
+      this.container.setAttribute('aria-labelledby', 'system-log-title');
+
+      const chapters = log.map((chapter, c) => `
+        <section class="system-log-chapter">
+          <h3 class="system-log-chapter-title">
+            <a href="${escapeHtml(chapter.url)}">${escapeHtml(chapter.title)}</a>
+          </h3>
+          <ol class="system-log-entries">
+            ${chapter.entries.map((entry, e) => `
+              <li>
+                <button type="button" class="system-log-entry" data-chapter="${c}" data-entry="${e}">
+                  ${escapeHtml(this.preview(entry))}
+                </button>
+              </li>
+            `).join('')}
+          </ol>
+        </section>
+      `).join('');
+
+      this.container.innerHTML = `
+        <div class="system-log-header">
+          <span class="system-log-title" id="system-log-title">System Log</span>
+          <button type="button" class="system-log-close" aria-label="Close">
+            ${createCloseIcon()}
+          </button>
+        </div>
+        <div class="system-log-body">
+          ${chapters || '<p class="system-log-empty">No system messages received yet.</p>'}
+        </div>
+        ${chapters ? '<div class="system-log-footer"><button type="button" class="system-log-clear">Clear log</button></div>' : ''}
+      `;
+
+      this.container.querySelector('.system-log-close').addEventListener('click', () => this.close());
+
+      this.container.querySelectorAll('.system-log-entry').forEach(button => {
+        button.addEventListener('click', () => {
+          const entry = log[button.dataset.chapter].entries[button.dataset.entry];
+          this.close();
+          setTimeout(() => SystemPopups.replay(entry), 300);
+        });
+      });
+
+      const clear = this.container.querySelector('.system-log-clear');
+      if (clear) {
+        clear.addEventListener('click', () => {
+          writeStorage(SYSTEM_LOG_KEY, null);
+          this.createContainer();
+          this.overlay.elements = [this.container];
+          this.container.classList.add('is-visible');
+          OverlayStack.focus(this.container.querySelector('.system-log-close'));
+        });
+      }
+
+      // Prevent clicks inside from closing
+      this.container.addEventListener('click', (e) => {
+        e.stopPropagation();
+      });
+
+      document.body.appendChild(this.container);
+    },
+
+    /**
+     * One line of plain text describing an entry
+     */
+    preview(entry) {
+      if (!entry.html) return entry.title || 'Image notification';
+      // A template never loads or runs anything in the markup
+      const scratch = document.createElement('template');
+      scratch.innerHTML = entry.html;
+      const text = scratch.content.textContent.replace(/\s+/g, ' ').trim();
+      const line = entry.title ? `${entry.title}: ${text}` : text;
+      return line.length > 90 ? `${line.slice(0, 87)}...` : line;
+    },
+
+    /**
+     * Close the System Log panel
+     */
+    close() {
+      if (!this.container) return;
+
+      const container = this.container;
+      container.classList.remove('is-visible');
+      OverlayStack.close(this.overlay);
+      this.overlay = null;
+      this.container = null;
+      this.isOpen = false;
+
+      setTimeout(() => container.remove(), 300);
     }
   };
 
@@ -712,9 +4168,27 @@
   function initPopupSystem() {
     // Initialize document viewer (always available)
     DocumentViewer.init();
+    ImageGallery.init();
+
+    // System Log panel (opened from the header)
+    SystemLog.init();
 
     // Initialize system popups if triggers exist on page
     SystemPopups.init();
+
+    // Corrupt any prose marked data-glitch
+    GlitchText.init();
+
+    // Black out (or decode) any redacted text
+    Redactions.init();
+
+    // Start a scripted popup sequence if the page names one
+    SequencePopups.autoStart();
+
+    // Reopen any document or gallery named in the URL, once the
+    // page's own DOMContentLoaded handlers (and anything they asked
+    // us to wait for) have run
+    setTimeout(() => Promise.all(UrlState.pending).then(() => UrlState.restore()), 0);
   }
 
   // Initialize when DOM is ready
@@ -731,18 +4205,34 @@
   window.PopupSystem = {
     // Sequence popups (for Chapter 1)
     sequence: {
-      start: (items, onComplete) => SequencePopups.init(items, onComplete)
+      // Pass an array of items, or the URL of a sequence script (a broken
+      // script is reported on the page and resolves to null)
+      start: (items, onComplete, options) => typeof items === 'string'
+        ? SequencePopups.load(items, onComplete, options).catch(() => null)
+        : SequencePopups.init(items, onComplete, options),
+      parse: (text, source) => SequenceScripts.parse(text, source),
+      back: () => SequencePopups.back(),
+      skip: () => SequencePopups.skip()
     },
     
     // System popups (scroll-triggered)
     system: {
-      reset: () => SystemPopups.reset()
+      reset: () => SystemPopups.reset(),
+      toast: (options) => SystemPopups.showToast(options)
+    },
+    
+    // Popup kinds (shared system-window looks)
+    kinds: {
+      register: (name, definition) => PopupKinds.register(name, definition),
+      render: (item) => PopupKinds.render(item)
     },
     
     // Document viewer
     document: {
       open: (options) => DocumentViewer.open(options),
-      close: () => DocumentViewer.close()
+      close: () => DocumentViewer.close(),
+      // In-world document layouts (newspaper, memo, dossier, report, ...)
+      registerType: (name, definition) => DocumentTypes.register(name, definition)
     },
 
     // Image gallery (for multi-page documents)
@@ -751,6 +4241,43 @@
       close: () => ImageGallery.close()
     },
 
+    // System Log (every popup the reader has seen)
+    log: {
+      open: () => SystemLog.open(),
+      close: () => SystemLog.close(),
+      entries: () => SystemLog.read()
+    },
+
+    // Links to documents and galleries (#doc=..., #gallery=...)
+    url: {
+      waitFor: (promise) => UrlState.waitFor(promise)
+    },
+
+    // Redacted text (clearance levels and chapter unlocks)
+    redactions: {
+      grant: (level) => Redactions.grant(level),
+      clearance: () => Redactions.clearance(),
+      apply: (root) => Redactions.apply(root || document.body)
+    },
+
+    // Safe HTML helpers
+    html: {
+      escape: escapeHtml,
+      sanitize: sanitizeHtml,
+      trust: trustHtml
+    },
+
+    // Overlays (popups, viewers) on screen
+    overlays: {
+      owns: (e) => OverlayStack.owns(e)
+    },
+
+    // Saved reader data (JSON values; through the settings store if loaded)
+    storage: {
+      read: readStorage,
+      write: writeStorage
+    },
+
     // Utility
     showBackdrop,
     hideBackdrop
@@ -1,10 +1,19 @@
 /* ============================================================
-   SETTINGS.JS - Theme Toggle & Font Size Controls
+   SETTINGS.JS - Theme, Font Size & Typography Controls
    ============================================================
    This file handles:
-   - Dark/Light theme switching with localStorage persistence
-   - Font size adjustment with localStorage persistence
+   - Theme switching (light, dark, sepia, high contrast, terminal
+     and any registered later), saved between visits
+   - Chapter themes: <meta name="story-theme" content="terminal"
+     data-theme-mode="force|suggest">
+   - Font size adjustment, saved between visits
+   - Typography: font family, line spacing, paragraph spacing,
+     content width and alignment (data-* attributes on <html>,
+     mapped to CSS variables in base.css)
    - Settings panel open/close behavior
+   - The settings store: versioned localStorage with migrations, an
+     in-memory fallback, sync between tabs and export/import of all
+     reader data
    ============================================================ */
 
 (function() {
@@ -16,14 +25,318 @@
   
   const STORAGE_KEYS = {
     theme: 'story-theme',
-    fontSize: 'story-font-size'
+    fontSize: 'story-font-size',
+    fontFamily: 'story-font-family',
+    lineHeight: 'story-line-height',
+    paragraphSpacing: 'story-paragraph-spacing',
+    contentWidth: 'story-content-width',
+    textAlign: 'story-text-align'
   };
 
   const FONT_SIZES = ['small', 'normal', 'large', 'x-large'];
-  const THEMES = ['light', 'dark'];
   const DEFAULT_THEME = 'light';
   const DEFAULT_FONT_SIZE = 'normal';
 
+  /**
+   * Theme registry
+   * Built-in themes keep their colors in base.css ([data-theme="..."]);
+   * registered ones can bring their own CSS variables instead.
+   *   label:  Button text in the settings panel
+   *   scheme: 'light' or 'dark' - components that only care which
+   *           one it is style [data-color-scheme="dark"]
+   *   vars:   (optional) { '--color-bg-primary': '#000', ... }
+   */
+  const THEMES = {
+    light: { label: 'Light', scheme: 'light' },
+    dark: { label: 'Dark', scheme: 'dark' },
+    sepia: { label: 'Sepia', scheme: 'light' },
+    'high-contrast': { label: 'High contrast', scheme: 'dark' },
+    terminal: { label: 'System terminal', scheme: 'dark' }
+  };
+
+  // Theme the chapter asks for, read from <meta name="story-theme">
+  const chapterTheme = readChapterTheme();
+
+  /**
+   * Typography settings
+   * Each is saved under STORAGE_KEYS[name] and shown as a data attribute
+   * on <html>; base.css turns the values into CSS variables.
+   * The first value is the default.
+   */
+  const TYPOGRAPHY = {
+    fontFamily: {
+      label: 'Font',
+      attribute: 'data-font-family',
+      options: { default: 'Default', sans: 'Sans', dyslexic: 'Dyslexia-friendly', mono: 'Mono' }
+    },
+    lineHeight: {
+      label: 'Line Spacing',
+      attribute: 'data-line-height',
+      options: { normal: 'Normal', compact: 'Compact', relaxed: 'Relaxed', loose: 'Loose' }
+    },
+    paragraphSpacing: {
+      label: 'Paragraph Spacing',
+      attribute: 'data-paragraph-spacing',
+      options: { normal: 'Normal', tight: 'Tight', wide: 'Wide' }
+    },
+    contentWidth: {
+      label: 'Width',
+      attribute: 'data-content-width',
+      options: { full: 'Full', wide: 'Wide', medium: 'Medium', narrow: 'Narrow' }
+    },
+    textAlign: {
+      label: 'Alignment',
+      attribute: 'data-text-align',
+      options: { default: 'Default', left: 'Left', justify: 'Justified' }
+    }
+  };
+
+  // ============================================================
+  // STORAGE
+  // ============================================================
+
+  const STORAGE_PREFIX = 'story-';
+  const SCHEMA_KEY = 'story-schema-version';
+  const SCHEMA_VERSION = 2;
+  const EXPORT_FORMAT = 'story-reader-data';
+
+  /**
+   * Upgrades for saved data, keyed by the version they produce
+   * Each gets every story- entry as raw strings ({ key: raw }) and
+   * returns them changed, so old exports go through the same steps.
+   */
+  const MIGRATIONS = {
+    // 2: Every value is JSON. Settings used to be saved as bare strings
+    //    (dark, not "dark"), unlike the popup system's data.
+    2(entries) {
+      Object.keys(entries).forEach(key => {
+        try {
+          JSON.parse(entries[key]);
+        } catch (e) {
+          entries[key] = JSON.stringify(entries[key]);
+        }
+      });
+      return entries;
+    }
+  };
+
+  /**
+   * One place for everything the site keeps in localStorage
+   * Values are JSON. When storage is blocked (or full) they're kept in
+   * memory instead, so settings still hold for the rest of the visit.
+   */
+  const Store = {
+    memory: {},
+    persistent: false,
+
+    init() {
+      this.persistent = probeStorage();
+      if (!this.persistent) {
+        console.warn('StorySettings: localStorage unavailable, settings will last until the page closes');
+      }
+
+      const version = this.get(SCHEMA_KEY, 1);
+      if (version < SCHEMA_VERSION) {
+        const entries = {};
+        this.keys().forEach(key => { entries[key] = this.readRaw(key); });
+        Object.entries(this.migrate(entries, version)).forEach(([key, raw]) => this.writeRaw(key, raw));
+        this.set(SCHEMA_KEY, SCHEMA_VERSION);
+      }
+    },
+
+    /**
+     * Run the migrations after fromVersion over raw entries
+     */
+    migrate(entries, fromVersion) {
+      for (let version = fromVersion + 1; version <= SCHEMA_VERSION; version++) {
+        if (MIGRATIONS[version]) entries = MIGRATIONS[version](entries);
+      }
+      return entries;
+    },
+
+    readRaw(key) {
+      if (Object.prototype.hasOwnProperty.call(this.memory, key)) return this.memory[key];
+      if (!this.persistent) return null;
+      try {
+        return localStorage.getItem(key);
+      } catch (e) {
+        return null;
+      }
+    },
+
+    writeRaw(key, raw) {
+      if (this.persistent) {
+        try {
+          localStorage.setItem(key, raw);
+          delete this.memory[key];
+          return;
+        } catch (e) {
+          console.warn(`StorySettings: Could not save "${key}", keeping it for this visit`);
+        }
+      }
+      this.memory[key] = raw;
+    },
+
+    /**
+     * Read a value
+     * @returns {*} The parsed value, or the fallback if missing/unreadable
+     */
+    get(key, fallback = null) {
+      const raw = this.readRaw(key);
+      if (raw === null) return fallback;
+      try {
+        return JSON.parse(raw);
+      } catch (e) {
+        return fallback;
+      }
+    },
+
+    /**
+     * Save a value (null removes the key)
+     */
+    set(key, value) {
+      if (value === null || value === undefined) {
+        this.remove(key);
+      } else {
+        this.writeRaw(key, JSON.stringify(value));
+      }
+    },
+
+    remove(key) {
+      delete this.memory[key];
+      if (!this.persistent) return;
+      try {
+        localStorage.removeItem(key);
+      } catch (e) {
+        // Nothing saved to remove
+      }
+    },
+
+    /**
+     * Every saved story- key (not the schema version)
+     */
+    keys() {
+      const keys = new Set(Object.keys(this.memory));
+      if (this.persistent) {
+        try {
+          for (let i = 0; i < localStorage.length; i++) {
+            keys.add(localStorage.key(i));
+          }
+        } catch (e) {
+          // Only what's in memory, then
+        }
+      }
+      return [...keys].filter(key => key && key.startsWith(STORAGE_PREFIX) && key !== SCHEMA_KEY).sort();
+    },
+
+    /**
+     * All reader data - settings, reading progress, saved places - as an
+     * object that importData() takes back
+     */
+    exportData() {
+      const data = {};
+      this.keys().forEach(key => { data[key] = this.readRaw(key); });
+      return {
+        format: EXPORT_FORMAT,
+        version: SCHEMA_VERSION,
+        exported: new Date().toISOString(),
+        data
+      };
+    },
+
+    /**
+     * Replace all reader data with an export (from this or an older version)
+     * @returns {number} How many entries were imported
+     * @throws {Error} With a reader-facing reason if it isn't a usable export
+     */
+    importData(exported) {
+      if (!exported || exported.format !== EXPORT_FORMAT || typeof exported.data !== 'object' || !exported.data) {
+        throw new Error('This file isn\'t a reader data export.');
+      }
+      const version = Number(exported.version) || 1;
+      if (version > SCHEMA_VERSION) {
+        throw new Error('This file comes from a newer version of the site.');
+      }
+
+      const entries = {};
+      Object.entries(exported.data).forEach(([key, raw]) => {
+        if (key.startsWith(STORAGE_PREFIX) && key !== SCHEMA_KEY && typeof raw === 'string') {
+          entries[key] = raw;
+        }
+      });
+
+      this.keys().forEach(key => this.remove(key));
+      const migrated = this.migrate(entries, version);
+      Object.entries(migrated).forEach(([key, raw]) => this.writeRaw(key, raw));
+      this.set(SCHEMA_KEY, SCHEMA_VERSION);
+
+      initSettings();
+      return Object.keys(migrated).length;
+    },
+
+    /**
+     * Save exportData() as a .json file
+     */
+    download() {
+      const blob = new Blob([JSON.stringify(this.exportData(), null, 2)], { type: 'application/json' });
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `${EXPORT_FORMAT}-${new Date().toISOString().slice(0, 10)}.json`;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      setTimeout(() => URL.revokeObjectURL(url), 0);
+    },
+
+    /**
+     * Import a file picked by the reader
+     * @param {File} file
+     * @returns {Promise<number>} Rejects with a reader-facing reason
+     */
+    upload(file) {
+      return file.text()
+        .then(text => {
+          try {
+            return JSON.parse(text);
+          } catch (e) {
+            throw new Error('This file isn\'t a reader data export.');
+          }
+        })
+        .then(exported => this.importData(exported));
+    }
+  };
+
+  function probeStorage() {
+    try {
+      const probe = `${STORAGE_PREFIX}probe`;
+      localStorage.setItem(probe, probe);
+      localStorage.removeItem(probe);
+      return true;
+    } catch (e) {
+      return false;
+    }
+  }
+
+  /**
+   * Another tab changed something: show this one the same setting
+   * Every story- change is passed on as a 'storysync' event ({ key }, null
+   * when storage was cleared) for the other scripts' own keys.
+   */
+  function handleStorageEvent(event) {
+    if (event.key !== null && !event.key.startsWith(STORAGE_PREFIX)) return;
+    if (event.key === null) {
+      initSettings();
+    } else {
+      const name = Object.keys(STORAGE_KEYS).find(setting => STORAGE_KEYS[setting] === event.key);
+      if (name) applySaved(name);
+    }
+    window.dispatchEvent(new CustomEvent('storysync', { detail: { key: event.key } }));
+  }
+
+  Store.init();
+  window.addEventListener('storage', handleStorageEvent);
+
   // ============================================================
   // INITIALIZATION
   // ============================================================
@@ -33,22 +346,34 @@
    * This runs immediately to prevent flash of wrong theme
    */
   function initSettings() {
-    // Apply saved theme (or detect from system preference)
-    const savedTheme = localStorage.getItem(STORAGE_KEYS.theme);
-    if (savedTheme && THEMES.includes(savedTheme)) {
-      setTheme(savedTheme, false);
-    } else {
-      // Check system preference
-      const prefersDark = window.matchMedia('(prefers-color-scheme: dark)').matches;
-      setTheme(prefersDark ? 'dark' : 'light', false);
-    }
+    Object.keys(STORAGE_KEYS).forEach(applySaved);
+  }
 
-    // Apply saved font size
-    const savedFontSize = localStorage.getItem(STORAGE_KEYS.fontSize);
-    if (savedFontSize && FONT_SIZES.includes(savedFontSize)) {
-      setFontSize(savedFontSize, false);
+  /**
+   * Show one saved setting (or its default)
+   * @param {string} name - A STORAGE_KEYS key, e.g. 'theme' or 'lineHeight'
+   */
+  function applySaved(name) {
+    const saved = Store.get(STORAGE_KEYS[name]);
+
+    if (name === 'theme') {
+      // A chapter theme (forced, or suggested to a reader without a saved
+      // choice) for this page only; otherwise the saved theme (or the
+      // system preference)
+      const chapter = activeChapterTheme();
+      if (chapter) {
+        setTheme(chapter, false);
+      } else if (saved && THEMES[saved]) {
+        setTheme(saved, false);
+      } else {
+        // Check system preference
+        const prefersDark = window.matchMedia('(prefers-color-scheme: dark)').matches;
+        setTheme(prefersDark ? 'dark' : 'light', false);
+      }
+    } else if (name === 'fontSize') {
+      setFontSize(FONT_SIZES.includes(saved) ? saved : DEFAULT_FONT_SIZE, false);
     } else {
-      setFontSize(DEFAULT_FONT_SIZE, false);
+      setTypography(name, TYPOGRAPHY[name].options[saved] ? saved : defaultTypography(name), false);
     }
   }
 
@@ -60,57 +385,147 @@
   // THEME FUNCTIONS
   // ============================================================
 
+  /**
+   * Read the chapter's theme from <meta name="story-theme">
+   * data-theme-mode="force" locks it for the page; "suggest" (the default)
+   * lets the reader switch away.
+   * @returns {Object|null} { theme, forced }
+   */
+  function readChapterTheme() {
+    const meta = document.querySelector('meta[name="story-theme"]');
+    if (!meta) return null;
+
+    const theme = meta.getAttribute('content');
+    if (!THEMES[theme]) {
+      console.warn(`Invalid chapter theme: ${theme}`);
+      return null;
+    }
+    return { theme, forced: meta.getAttribute('data-theme-mode') === 'force' };
+  }
+
+  /**
+   * The chapter theme to show, if any: a forced one always, a suggested
+   * one only until the reader has saved a theme of their own
+   * @returns {string|null}
+   */
+  function activeChapterTheme() {
+    if (!chapterTheme) return null;
+    return (chapterTheme.forced || !Store.get(STORAGE_KEYS.theme)) ? chapterTheme.theme : null;
+  }
+
   /**
    * Set the color theme
-   * @param {string} theme - 'light' or 'dark'
-   * @param {boolean} save - Whether to save to localStorage (default: true)
+   * @param {string} theme - A registered theme name
+   * @param {boolean} save - Whether to save it (default: true)
    */
   function setTheme(theme, save = true) {
-    if (!THEMES.includes(theme)) {
+    if (!THEMES[theme]) {
       console.warn(`Invalid theme: ${theme}`);
       return;
     }
 
-    // Apply theme to HTML element
-    document.documentElement.setAttribute('data-theme', theme);
+    const root = document.documentElement;
+    const previousTheme = root.getAttribute('data-theme');
+
+    // A forced chapter theme can't be changed from this page
+    if (chapterTheme && chapterTheme.forced && previousTheme === chapterTheme.theme && theme !== previousTheme) {
+      return;
+    }
+
+    // Apply theme to HTML element (and drop the last theme's own variables)
+    if (previousTheme && THEMES[previousTheme] && THEMES[previousTheme].vars) {
+      Object.keys(THEMES[previousTheme].vars).forEach(name => root.style.removeProperty(name));
+    }
+    root.setAttribute('data-theme', theme);
+    root.setAttribute('data-color-scheme', THEMES[theme].scheme);
+    root.style.colorScheme = THEMES[theme].scheme;
+    Object.entries(THEMES[theme].vars || {}).forEach(([name, value]) => root.style.setProperty(name, value));
 
     // Save preference
     if (save) {
-      localStorage.setItem(STORAGE_KEYS.theme, theme);
+      Store.set(STORAGE_KEYS.theme, theme);
     }
 
     // Update toggle buttons if they exist
     updateThemeButtons(theme);
 
     // Dispatch custom event for other scripts that might need to know
-    window.dispatchEvent(new CustomEvent('themechange', { detail: { theme } }));
+    window.dispatchEvent(new CustomEvent('themechange', {
+      detail: { theme, previousTheme: previousTheme || null }
+    }));
   }
 
   /**
    * Toggle between light and dark themes
    */
   function toggleTheme() {
-    const currentTheme = document.documentElement.getAttribute('data-theme') || DEFAULT_THEME;
-    const newTheme = currentTheme === 'dark' ? 'light' : 'dark';
-    setTheme(newTheme);
+    setTheme(THEMES[getTheme()].scheme === 'dark' ? 'light' : 'dark');
   }
 
   /**
    * Get the current theme
-   * @returns {string} Current theme ('light' or 'dark')
+   * @returns {string} Current theme name
    */
   function getTheme() {
     return document.documentElement.getAttribute('data-theme') || DEFAULT_THEME;
   }
 
+  /**
+   * Add a theme (or replace one) so setTheme and the settings panel know it
+   * @param {string} name - Value for data-theme
+   * @param {Object} options - { label, scheme: 'light' | 'dark', vars }
+   */
+  function registerTheme(name, options = {}) {
+    THEMES[name] = {
+      label: options.label || name,
+      scheme: options.scheme === 'dark' ? 'dark' : 'light',
+      vars: options.vars
+    };
+    renderThemeButtons();
+
+    // Re-apply if it's showing, or if it's the reader's saved choice
+    if (getTheme() === name || (!activeChapterTheme() && Store.get(STORAGE_KEYS.theme) === name)) {
+      setTheme(name, false);
+    }
+  }
+
+  /**
+   * All registered themes
+   * @returns {Array} [{ name, label, scheme }]
+   */
+  function getThemes() {
+    return Object.keys(THEMES).map(name => ({ name, label: THEMES[name].label, scheme: THEMES[name].scheme }));
+  }
+
+  /**
+   * Fill [data-theme-options] containers with a button per theme
+   */
+  function renderThemeButtons() {
+    document.querySelectorAll('[data-theme-options]').forEach(container => {
+      container.innerHTML = '';
+      Object.keys(THEMES).forEach(name => {
+        const btn = document.createElement('button');
+        btn.className = 'theme-toggle-btn';
+        btn.setAttribute('data-theme', name);
+        btn.textContent = THEMES[name].label;
+        btn.addEventListener('click', () => setTheme(name));
+        container.appendChild(btn);
+      });
+    });
+    updateThemeButtons(getTheme());
+  }
+
   /**
    * Update theme toggle buttons to show active state
    * @param {string} theme - Current theme
    */
   function updateThemeButtons(theme) {
-    document.querySelectorAll('.theme-toggle-btn').forEach(btn => {
+    const locked = Boolean(chapterTheme && chapterTheme.forced && theme === chapterTheme.theme);
+    document.querySelectorAll('.theme-toggle-btn[data-theme]').forEach(btn => {
       const btnTheme = btn.getAttribute('data-theme');
       btn.classList.toggle('is-active', btnTheme === theme);
+      btn.disabled = locked && btnTheme !== theme;
+      btn.title = locked ? `This chapter uses the ${THEMES[theme].label} theme` : '';
     });
   }
 
@@ -121,7 +536,7 @@
   /**
    * Set the font size
    * @param {string} size - One of: 'small', 'normal', 'large', 'x-large'
-   * @param {boolean} save - Whether to save to localStorage (default: true)
+   * @param {boolean} save - Whether to save it (default: true)
    */
   function setFontSize(size, save = true) {
     if (!FONT_SIZES.includes(size)) {
@@ -134,7 +549,7 @@
 
     // Save preference
     if (save) {
-      localStorage.setItem(STORAGE_KEYS.fontSize, size);
+      Store.set(STORAGE_KEYS.fontSize, size);
     }
 
     // Update buttons if they exist
@@ -183,6 +598,143 @@
     });
   }
 
+  // ============================================================
+  // TYPOGRAPHY FUNCTIONS
+  // ============================================================
+
+  function defaultTypography(name) {
+    return Object.keys(TYPOGRAPHY[name].options)[0];
+  }
+
+  /**
+   * Set a typography option
+   * @param {string} name - A TYPOGRAPHY key, e.g. 'lineHeight'
+   * @param {string} value - One of its options, e.g. 'relaxed'
+   * @param {boolean} save - Whether to save it (default: true)
+   */
+  function setTypography(name, value, save = true) {
+    const setting = TYPOGRAPHY[name];
+    if (!setting || !setting.options[value]) {
+      console.warn(`Invalid ${name}: ${value}`);
+      return;
+    }
+
+    document.documentElement.setAttribute(setting.attribute, value);
+
+    if (save) {
+      Store.set(STORAGE_KEYS[name], value);
+    }
+
+    updateTypographyButtons(name, value);
+
+    window.dispatchEvent(new CustomEvent('typographychange', { detail: { setting: name, value } }));
+  }
+
+  /**
+   * Get a typography option
+   * @param {string} name - A TYPOGRAPHY key
+   * @returns {string} Current value
+   */
+  function getTypography(name) {
+    const setting = TYPOGRAPHY[name];
+    if (!setting) return undefined;
+    return document.documentElement.getAttribute(setting.attribute) || defaultTypography(name);
+  }
+
+  /**
+   * Fill [data-typography-options] containers with a section per setting
+   */
+  function renderTypographyControls() {
+    document.querySelectorAll('[data-typography-options]').forEach(container => {
+      container.innerHTML = '';
+      Object.keys(TYPOGRAPHY).forEach(name => {
+        const setting = TYPOGRAPHY[name];
+        const section = document.createElement('div');
+        section.className = 'settings-section';
+
+        const label = document.createElement('span');
+        label.className = 'settings-label';
+        label.textContent = setting.label;
+
+        const group = document.createElement('div');
+        group.className = 'theme-toggle';
+        group.setAttribute('role', 'group');
+        group.setAttribute('aria-label', setting.label);
+
+        Object.keys(setting.options).forEach(value => {
+          const btn = document.createElement('button');
+          btn.className = 'theme-toggle-btn typography-btn';
+          btn.setAttribute('data-setting', name);
+          btn.setAttribute('data-value', value);
+          btn.textContent = setting.options[value];
+          btn.addEventListener('click', () => setTypography(name, value));
+          group.appendChild(btn);
+        });
+
+        section.append(label, group);
+        container.appendChild(section);
+      });
+    });
+    Object.keys(TYPOGRAPHY).forEach(name => updateTypographyButtons(name, getTypography(name)));
+  }
+
+  function updateTypographyButtons(name, value) {
+    document.querySelectorAll(`.typography-btn[data-setting="${name}"]`).forEach(btn => {
+      const active = btn.getAttribute('data-value') === value;
+      btn.classList.toggle('is-active', active);
+      btn.setAttribute('aria-pressed', String(active));
+    });
+  }
+
+  // ============================================================
+  // READER DATA
+  // ============================================================
+
+  /**
+   * Fill [data-reader-data] containers with Export / Import buttons
+   */
+  function renderDataControls() {
+    document.querySelectorAll('[data-reader-data]').forEach(container => {
+      container.innerHTML = `
+        <div class="settings-section">
+          <span class="settings-label">Reading Data</span>
+          <div class="theme-toggle" role="group" aria-label="Reading data">
+            <button class="theme-toggle-btn" data-data-action="export">Export</button>
+            <button class="theme-toggle-btn" data-data-action="import">Import</button>
+          </div>
+          <input type="file" accept="application/json,.json" hidden>
+          <p class="settings-note" role="status"></p>
+        </div>
+      `;
+
+      const input = container.querySelector('input[type="file"]');
+      const note = container.querySelector('.settings-note');
+
+      container.querySelector('[data-data-action="export"]').addEventListener('click', () => {
+        Store.download();
+        note.textContent = 'Saved your settings and reading progress to a file.';
+      });
+      container.querySelector('[data-data-action="import"]').addEventListener('click', () => input.click());
+
+      input.addEventListener('change', () => {
+        const file = input.files[0];
+        input.value = '';
+        if (!file) return;
+        if (!window.confirm('Replace the settings and reading progress on this device with the ones in this file?')) return;
+
+        Store.upload(file)
+          .then(count => {
+            note.textContent = `Imported ${count} item${count === 1 ? '' : 's'}. Reloading…`;
+            // Chapters read progress when they load
+            setTimeout(() => window.location.reload(), 600);
+          })
+          .catch(error => {
+            note.textContent = error.message;
+          });
+      });
+    });
+  }
+
   // ============================================================
   // SETTINGS PANEL
   // ============================================================
@@ -211,6 +763,7 @@
    * Close settings panel when clicking outside
    */
   function handleOutsideClick(event) {
+    if (overlayOwns(event)) return;
     const panel = document.querySelector('.settings-panel');
     const dropdown = document.querySelector('.settings-dropdown');
     
@@ -221,6 +774,15 @@
     }
   }
 
+  /**
+   * A popup or viewer on top gets Escape and clicks, not the panel under it
+   * (popup-system.js loads after this file, and not on every page)
+   */
+  function overlayOwns(event) {
+    const popups = window.PopupSystem;
+    return Boolean(popups && popups.overlays && popups.overlays.owns(event));
+  }
+
   // ============================================================
   // EVENT LISTENERS SETUP
   // ============================================================
@@ -237,8 +799,10 @@
       });
     });
 
-    // Theme toggle buttons
-    document.querySelectorAll('.theme-toggle-btn').forEach(btn => {
+    // Theme toggle buttons (one per registered theme)
+    renderThemeButtons();
+    document.querySelectorAll('.theme-toggle-btn[data-theme]').forEach(btn => {
+      if (btn.closest('[data-theme-options]')) return;
       btn.addEventListener('click', () => {
         const theme = btn.getAttribute('data-theme');
         if (theme) setTheme(theme);
@@ -258,7 +822,7 @@
 
     // Close panel on Escape key
     document.addEventListener('keydown', (e) => {
-      if (e.key === 'Escape') {
+      if (e.key === 'Escape' && !overlayOwns(e)) {
         toggleSettingsPanel(false);
       }
     });
@@ -266,11 +830,18 @@
     // Listen for system theme preference changes
     window.matchMedia('(prefers-color-scheme: dark)').addEventListener('change', (e) => {
       // Only auto-switch if user hasn't explicitly set a preference
-      if (!localStorage.getItem(STORAGE_KEYS.theme)) {
+      // (and the chapter hasn't picked one)
+      if (!Store.get(STORAGE_KEYS.theme) && !chapterTheme) {
         setTheme(e.matches ? 'dark' : 'light', false);
       }
     });
 
+    // Typography sections (built from TYPOGRAPHY)
+    renderTypographyControls();
+
+    // Export / Import
+    renderDataControls();
+
     // Update UI to reflect current settings
     updateThemeButtons(getTheme());
     updateFontSizeButtons(getFontSize());
@@ -292,11 +863,25 @@
     setTheme,
     toggleTheme,
     getTheme,
+    getThemes,
+    registerTheme,
     setFontSize,
     increaseFontSize,
     decreaseFontSize,
     getFontSize,
-    toggleSettingsPanel
+    setTypography,
+    getTypography,
+    toggleSettingsPanel,
+    store: {
+      get: (key, fallback) => Store.get(key, fallback),
+      set: (key, value) => Store.set(key, value),
+      remove: (key) => Store.remove(key),
+      keys: () => Store.keys(),
+      exportData: () => Store.exportData(),
+      importData: (exported) => Store.importData(exported),
+      download: () => Store.download(),
+      upload: (file) => Store.upload(file)
+    }
   };
 
 })();